@@ -1,16 +1,90 @@
-// import { serve } from "https://deno.land/std@0.120.0/http/server.ts";
+import { ConfigError, describeConfig, getConfig } from "./config/config.js";
+import * as database from "./database/database.js";
+import { apiErrorMiddleware } from "./middlewares/apiErrorMiddleware.js";
+import { bodyLimitMiddleware } from "./middlewares/bodyLimitMiddleware.js";
+import { corsMiddleware } from "./middlewares/corsMiddleware.js";
+import { csrfMiddleware } from "./middlewares/csrfMiddleware.js";
+import {
+  protectMutations,
+  userMiddleware,
+} from "./middlewares/authMiddleware.js";
+import { errorMiddleware } from "./middlewares/errorMiddleware.js";
+import { logMiddleware } from "./middlewares/logMiddleware.js";
+import { securityHeadersMiddleware } from "./middlewares/securityHeadersMiddleware.js";
+import { sessionMiddleware } from "./middlewares/sessionMiddleware.js";
+import { staticMiddleware } from "./middlewares/staticMiddleware.js";
+import { router } from "./routes/routes.js";
+import * as eventService from "./services/eventService.js";
+import { createApplication } from "./utils/application.js";
+import { logger } from "./utils/logger.js";
+import { createServer } from "./utils/server.js";
 
-// const handleRequest = (request) => {
-//   console.log(`Request to ${request.url}`);
-//   return new Response("Hello world!");
-// };
+const app = createApplication();
 
-// // console.log("Launching server on port 31337");
-// serve(handleRequest, { port: 31337 });
+app.use(logMiddleware);
+app.use(securityHeadersMiddleware);
+app.use(apiErrorMiddleware);
+app.use(errorMiddleware);
+app.use(staticMiddleware);
+app.use(corsMiddleware);
+app.use(sessionMiddleware);
+app.use(userMiddleware);
+app.use(bodyLimitMiddleware);
+app.use(csrfMiddleware);
+app.use(protectMutations);
+app.use(router.handle);
 
+const handleRequest = async (request, connInfo) => {
+  return await app.handle(request, connInfo);
+};
 
-const hello = () => {
-    console.log("Hello world!");
+if (import.meta.main) {
+  let config;
+  try {
+    config = getConfig();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    logger.error("Invalid configuration", { problems: error.problems });
+    Deno.exit(1);
+  }
+  logger.info("Configuration loaded", { config: describeConfig(config) });
+
+  await database.connect();
+
+  const server = createServer(handleRequest, {
+    port: config.port,
+    drainTimeoutMs: config.shutdownTimeoutMs,
+  });
+
+  let stopping = false;
+  const stop = async (signal) => {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+
+    logger.info("Shutting down", { signal });
+    try {
+      // The event streams never finish by themselves.
+      eventService.close();
+      await server.shutdown();
+      await database.close();
+    } catch (error) {
+      logger.error("Shutdown failed", { error });
+      Deno.exit(1);
+    }
+    logger.info("Stopped");
+    Deno.exit(0);
   };
-  
-  hello();
\ No newline at end of file
+
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    Deno.addSignalListener(signal, () => stop(signal));
+  }
+
+  logger.info("Launching server", { port: config.port });
+  await server.listen();
+}
+
+export { app, handleRequest };
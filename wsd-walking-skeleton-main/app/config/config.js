@@ -0,0 +1,212 @@
+// All settings of the application, read from environment variables. Every
+// variable can instead be given as a file with <NAME>_FILE, e.g. for Docker
+// secrets mounted under /run/secrets. Invalid or missing settings are
+// collected and reported together by loadConfig().
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid configuration:\n${
+        problems.map((problem) => `  - ${problem}`).join("\n")
+      }`,
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+const string = () => (raw) => ({ value: raw });
+
+const integer = ({ min = -Infinity, max = Infinity } = {}) => (raw) => {
+  const value = Number(raw);
+  return /^-?\d+$/.test(raw) && value >= min && value <= max ? { value } : {
+    error: `must be an integer${
+      Number.isFinite(min) ? ` of at least ${min}` : ""
+    }${Number.isFinite(max) ? ` and at most ${max}` : ""}`,
+  };
+};
+
+const boolean = () => (raw) =>
+  ["true", "false"].includes(raw.toLowerCase())
+    ? { value: raw.toLowerCase() === "true" }
+    : { error: "must be true or false" };
+
+const oneOf = (choices) => (raw) =>
+  choices.includes(raw.toLowerCase())
+    ? { value: raw.toLowerCase() }
+    : { error: `must be one of ${choices.join(", ")}` };
+
+const list = () => (raw) => ({
+  value: raw.split(",").map((item) => item.trim()).filter((item) =>
+    item.length > 0
+  ),
+});
+
+const minLength = (length) => (raw) =>
+  raw.length >= length
+    ? { value: raw }
+    : { error: `must be at least ${length} characters long` };
+
+// `path` is where the value ends up in the configuration object. Settings
+// without a default are required. Secrets are never included in messages or
+// in describeConfig().
+const SETTINGS = [
+  {
+    name: "PORT",
+    path: "port",
+    parse: integer({ min: 1, max: 65535 }),
+    default: 7777,
+  },
+  {
+    name: "LOG_LEVEL",
+    path: "logLevel",
+    parse: oneOf(["debug", "info", "warn", "error"]),
+    default: "info",
+  },
+  { name: "PGUSER", path: "database.user", parse: string() },
+  {
+    name: "PGPASSWORD",
+    path: "database.password",
+    parse: string(),
+    secret: true,
+  },
+  { name: "PGHOST", path: "database.hostname", parse: string() },
+  {
+    name: "PGPORT",
+    path: "database.port",
+    parse: integer({ min: 1, max: 65535 }),
+    default: 5432,
+  },
+  { name: "PGDATABASE", path: "database.database", parse: string() },
+  {
+    name: "DATABASE_POOL_SIZE",
+    path: "database.poolSize",
+    parse: integer({ min: 1, max: 100 }),
+    default: 5,
+  },
+  {
+    name: "MIGRATIONS_DIR",
+    path: "migrationsDir",
+    parse: string(),
+    default: new URL("../../flyway/sql/", import.meta.url).pathname,
+  },
+  {
+    name: "SESSION_SECRET",
+    path: "sessionSecret",
+    parse: minLength(16),
+    secret: true,
+  },
+  {
+    name: "SHUTDOWN_TIMEOUT_MS",
+    path: "shutdownTimeoutMs",
+    parse: integer({ min: 0 }),
+    default: 8000,
+  },
+  {
+    name: "MAX_BODY_BYTES",
+    path: "maxBodyBytes",
+    parse: integer({ min: 1024 }),
+    default: 4 * 1024 * 1024,
+  },
+  { name: "CORS_ORIGINS", path: "corsOrigins", parse: list(), default: [] },
+  { name: "TRUST_PROXY", path: "trustProxy", parse: boolean(), default: false },
+  {
+    name: "RATE_LIMIT_STORE",
+    path: "rateLimitStore",
+    parse: oneOf(["memory", "postgres"]),
+    default: "memory",
+  },
+];
+
+const setPath = (target, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let node = target;
+  for (const key of keys) {
+    node[key] ??= {};
+    node = node[key];
+  }
+  node[last] = value;
+};
+
+const readFile = (path) => Deno.readTextFileSync(path).replace(/\r?\n$/, "");
+
+// Reads the settings from `env` (an object of environment variables). Throws
+// a ConfigError listing every missing or invalid setting.
+const loadConfig = (env = Deno.env.toObject(), { read = readFile } = {}) => {
+  const config = {};
+  const problems = [];
+
+  for (const setting of SETTINGS) {
+    const { name, path, parse, secret } = setting;
+    const fileName = `${name}_FILE`;
+    let raw = env[name];
+
+    if (env[fileName] !== undefined && env[fileName] !== "") {
+      if (raw !== undefined && raw !== "") {
+        problems.push(`${name} and ${fileName} cannot both be set`);
+        continue;
+      }
+      try {
+        raw = read(env[fileName]);
+      } catch (error) {
+        problems.push(
+          `${fileName} could not be read (${env[fileName]}): ${error.message}`,
+        );
+        continue;
+      }
+    }
+
+    if (raw === undefined || raw === "") {
+      if ("default" in setting) {
+        setPath(config, path, setting.default);
+      } else {
+        problems.push(`${name} is required`);
+      }
+      continue;
+    }
+
+    const { value, error } = parse(raw.trim());
+    if (error) {
+      problems.push(
+        secret ? `${name} ${error}` : `${name} ${error} (got "${raw}")`,
+      );
+      continue;
+    }
+    setPath(config, path, value);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return config;
+};
+
+// The configuration with secrets replaced, for logging.
+const describeConfig = (config) => {
+  const described = structuredClone(config);
+  for (const { path, secret } of SETTINGS) {
+    if (secret) {
+      setPath(described, path, "[redacted]");
+    }
+  }
+  return described;
+};
+
+let current;
+
+// The configuration of the running app, loaded from the environment on first
+// use.
+const getConfig = () => {
+  if (!current) {
+    current = loadConfig();
+  }
+  return current;
+};
+
+// Replaces the configuration, e.g. in tests.
+const useConfig = (config) => {
+  current = config;
+};
+
+export { ConfigError, describeConfig, getConfig, loadConfig, useConfig };
@@ -0,0 +1,168 @@
+import { getConfig } from "../config/config.js";
+import { Client, delay, Pool } from "../deps.js";
+import { logger } from "../utils/logger.js";
+import * as listener from "./listener.js";
+
+const connectionParams = () => {
+  const { user, password, hostname, port, database } = getConfig().database;
+  return { user, password, hostname, port, database };
+};
+
+const createPostgresDriver = (
+  connection = connectionParams(),
+  size = getConfig().database.poolSize,
+) => {
+  const pool = new Pool(connection, size, true);
+
+  return {
+    // Opens a separate connection, so that failed attempts do not use up
+    // connections of the pool.
+    ping: async () => {
+      const client = new Client(connection);
+      await client.connect();
+      await client.end();
+    },
+    query: async (sql, params) => {
+      const client = await pool.connect();
+      try {
+        return await client.queryObject({ text: sql, args: params });
+      } finally {
+        client.release();
+      }
+    },
+    // Runs fn with a connection of its own inside BEGIN and COMMIT, rolling
+    // back when fn throws.
+    transaction: async (fn) => {
+      const client = await pool.connect();
+      try {
+        await client.queryArray("BEGIN");
+        try {
+          const result = await fn({
+            query: (sql, params = []) =>
+              client.queryObject({ text: sql, args: params }),
+          });
+          await client.queryArray("COMMIT");
+          return result;
+        } catch (error) {
+          await client.queryArray("ROLLBACK");
+          throw error;
+        }
+      } finally {
+        client.release();
+      }
+    },
+    // The pool cannot LISTEN, so every listener gets a connection of its own.
+    listen: (channel, onNotification) =>
+      listener.listen(connection, channel, onNotification),
+    close: async () => {
+      await pool.end();
+    },
+  };
+};
+
+let driver;
+
+const getDriver = () => {
+  if (!driver) {
+    driver = createPostgresDriver();
+  }
+  return driver;
+};
+
+const timed = async (log, sql, fn) => {
+  const start = performance.now();
+  try {
+    return await fn();
+  } finally {
+    log.debug("query", {
+      sql,
+      durationMs: Math.round((performance.now() - start) * 100) / 100,
+    });
+  }
+};
+
+// Queries are logged with `log`, which is the logger of the request for
+// queries made through context.db, so that they can be found by request id.
+const executeQuery = async (sql, params = [], log = logger) => {
+  return await timed(log, sql, () => getDriver().query(sql, params));
+};
+
+// Runs fn(transaction) in a database transaction. Queries that should be part
+// of it are made with transaction.query(sql, params). The transaction is
+// committed when fn resolves and rolled back when it throws.
+const withTransaction = async (fn, log = logger) => {
+  return await getDriver().transaction((transaction) =>
+    fn({
+      query: (sql, params = []) =>
+        timed(log, sql, () => transaction.query(sql, params)),
+    })
+  );
+};
+
+// The database as the services use it: `db.query(sql, params)` and
+// `db.transaction(fn)`. Every request gets one that logs its queries with
+// the logger of the request, as context.db.
+const createDatabase = (log = logger) => ({
+  query: (sql, params) => executeQuery(sql, params, log),
+  transaction: (fn) => withTransaction(fn, log),
+});
+
+// Calls onNotification(payload) for every NOTIFY on `channel`. Resolves to
+// { closed, close }: close() stops listening, and `closed` rejects when the
+// connection is lost.
+const listen = async (channel, onNotification) => {
+  return await getDriver().listen(channel, onNotification);
+};
+
+// For queries made outside of requests.
+const pool = createDatabase();
+
+// Waits until the database accepts connections. The database server is
+// started alongside the app, so the first attempts are expected to fail.
+const connect = async ({ retries = 60, interval = 1000 } = {}) => {
+  for (let attempt = 1;; attempt++) {
+    try {
+      await getDriver().ping();
+      return;
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error;
+      }
+      logger.warn("Database not available, retrying", {
+        error: error.message,
+        attempt,
+        retries,
+        retryInMs: interval,
+      });
+      await delay(interval);
+    }
+  }
+};
+
+// Replaces the driver used by executeQuery, e.g. with the in-memory driver
+// from memoryDriver.js in tests. Returns the previous driver.
+const useDriver = (replacement) => {
+  const previous = driver;
+  driver = replacement;
+  return previous;
+};
+
+const close = async () => {
+  if (driver) {
+    const current = driver;
+    driver = undefined;
+    await current.close();
+  }
+};
+
+export {
+  close,
+  connect,
+  createDatabase,
+  createPostgresDriver,
+  executeQuery,
+  listen,
+  pool,
+  useDriver,
+  withTransaction,
+};
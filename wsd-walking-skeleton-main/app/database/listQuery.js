@@ -0,0 +1,72 @@
+import { pool } from "./database.js";
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, "\\$&");
+
+// Lists rows of a table using the options produced by parseListQuery in
+// utils/listing.js. Only rows whose columns equal the values in `filters` are
+// included. Resolves to the rows of the requested page, the number of rows
+// matching the search and whether there are rows after the page.
+const listRows = async (
+  table,
+  { columns, searchColumns },
+  options,
+  filters = {},
+  db = pool,
+) => {
+  const { q, sort, order, page, pageSize, after } = options;
+  if (!columns.includes(sort) || !["asc", "desc"].includes(order)) {
+    throw new Error(`Cannot sort ${table} by ${sort} ${order}`);
+  }
+
+  const conditions = [];
+  const params = [];
+  for (const [column, value] of Object.entries(filters)) {
+    params.push(value);
+    conditions.push(`${column} = $${params.length}`);
+  }
+  if (q) {
+    params.push(`%${escapeLike(q)}%`);
+    const placeholder = `$${params.length}`;
+    conditions.push(
+      `(${
+        searchColumns.map((column) => `${column} ILIKE ${placeholder}`)
+          .join(" OR ")
+      })`,
+    );
+  }
+
+  const countWhere = conditions.length > 0
+    ? `WHERE ${conditions.join(" AND ")}`
+    : "";
+  const countResult = await db.query(
+    `SELECT COUNT(*) AS total FROM ${table} ${countWhere}`,
+    params,
+  );
+  const total = Number(countResult.rows[0].total);
+
+  let offset = (page - 1) * pageSize;
+  if (after !== undefined) {
+    params.push(after);
+    conditions.push(`id ${order === "asc" ? ">" : "<"} $${params.length}`);
+    offset = 0;
+  }
+
+  const where = conditions.length > 0
+    ? `WHERE ${conditions.join(" AND ")}`
+    : "";
+  params.push(pageSize + 1, offset);
+  const result = await db.query(
+    `SELECT ${columns.join(", ")} FROM ${table} ${where}
+      ORDER BY ${sort} ${order}, id ${order}
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params,
+  );
+
+  return {
+    rows: result.rows.slice(0, pageSize),
+    total,
+    hasMore: result.rows.length > pageSize,
+  };
+};
+
+export { listRows };
@@ -0,0 +1,319 @@
+import { Md5 } from "../deps.js";
+
+// A connection of its own that LISTENs for notifications, which the database
+// driver does not support. It speaks just enough of the PostgreSQL protocol
+// to log in (SCRAM-SHA-256, MD5 or a plain password), run LISTEN and receive
+// notifications; queries go through the driver as usual.
+
+const PROTOCOL_VERSION = 196608;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const concat = (...parts) => {
+  const bytes = new Uint8Array(
+    parts.reduce((length, part) => length + part.length, 0),
+  );
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+};
+
+const int32 = (value) => {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setInt32(0, value);
+  return bytes;
+};
+
+const cstring = (text) => encoder.encode(`${text}\0`);
+
+// A message to the server: its type (none for the startup message), its
+// length and its contents.
+const message = (type, ...parts) => {
+  const body = concat(...parts);
+  const header = type ? encoder.encode(type) : new Uint8Array(0);
+  return concat(header, int32(body.length + 4), body);
+};
+
+// The null-terminated strings of a message, starting at `offset`.
+const readStrings = (body, offset = 0) => {
+  const strings = [];
+  while (offset < body.length) {
+    const end = body.indexOf(0, offset);
+    strings.push(decoder.decode(body.subarray(offset, end)));
+    offset = end + 1;
+  }
+  return strings;
+};
+
+const send = async (conn, bytes) => {
+  for (let written = 0; written < bytes.length;) {
+    written += await conn.write(bytes.subarray(written));
+  }
+};
+
+const readInt32 = (body, offset = 0) =>
+  new DataView(body.buffer, body.byteOffset).getInt32(offset);
+
+// An ErrorResponse consists of fields, each a type byte and a string.
+const serverError = (body) => {
+  const fields = {};
+  let offset = 0;
+  while (body[offset] !== 0) {
+    const end = body.indexOf(0, offset + 1);
+    fields[String.fromCharCode(body[offset])] = decoder.decode(
+      body.subarray(offset + 1, end),
+    );
+    offset = end + 1;
+  }
+  return new Error(fields.M ?? "The database returned an error");
+};
+
+// Reads whole messages ({ type, body }) from the connection.
+const createReader = (conn) => {
+  let buffer = new Uint8Array(0);
+
+  const fill = async (size) => {
+    while (buffer.length < size) {
+      const chunk = new Uint8Array(16 * 1024);
+      const read = await conn.read(chunk);
+      if (read === null) {
+        throw new Error("The database closed the connection");
+      }
+      buffer = concat(buffer, chunk.subarray(0, read));
+    }
+  };
+
+  return async () => {
+    await fill(5);
+    const length = readInt32(buffer, 1);
+    await fill(1 + length);
+    const type = String.fromCharCode(buffer[0]);
+    const body = buffer.slice(5, 1 + length);
+    buffer = buffer.slice(1 + length);
+    return { type, body };
+  };
+};
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+const fromBase64 = (text) =>
+  Uint8Array.from(atob(text), (character) => character.charCodeAt(0));
+
+const hmac = async (key, text) => {
+  const cryptoKey = await crypto.subtle.importKey(
+    "raw",
+    key,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  return new Uint8Array(
+    await crypto.subtle.sign("HMAC", cryptoKey, encoder.encode(text)),
+  );
+};
+
+// SCRAM-SHA-256 (RFC 5802 and 7677) as PostgreSQL uses it: the user name in
+// the messages is left empty, as the server takes it from the startup
+// message. `clientFirst` is sent first; `clientFinal(serverFirst)` resolves
+// to the answer to the server's challenge and to the signature the server
+// must prove itself with.
+const createScram = (password, nonce) => {
+  const clientFirstBare = `n=,r=${nonce}`;
+
+  const clientFinal = async (serverFirst) => {
+    const attributes = Object.fromEntries(
+      serverFirst.split(",").map((part) => [part[0], part.slice(2)]),
+    );
+    if (!attributes.r?.startsWith(nonce)) {
+      throw new Error("The database sent an invalid SCRAM nonce");
+    }
+
+    const passwordKey = await crypto.subtle.importKey(
+      "raw",
+      encoder.encode(password),
+      "PBKDF2",
+      false,
+      ["deriveBits"],
+    );
+    const saltedPassword = new Uint8Array(
+      await crypto.subtle.deriveBits(
+        {
+          name: "PBKDF2",
+          hash: "SHA-256",
+          salt: fromBase64(attributes.s),
+          iterations: Number(attributes.i),
+        },
+        passwordKey,
+        256,
+      ),
+    );
+
+    const withoutProof = `c=biws,r=${attributes.r}`;
+    const authMessage = `${clientFirstBare},${serverFirst},${withoutProof}`;
+    const clientKey = await hmac(saltedPassword, "Client Key");
+    const storedKey = new Uint8Array(
+      await crypto.subtle.digest("SHA-256", clientKey),
+    );
+    const clientSignature = await hmac(storedKey, authMessage);
+    const proof = clientKey.map((byte, i) => byte ^ clientSignature[i]);
+    const serverKey = await hmac(saltedPassword, "Server Key");
+
+    return {
+      message: `${withoutProof},p=${toBase64(proof)}`,
+      serverSignature: toBase64(await hmac(serverKey, authMessage)),
+    };
+  };
+
+  return { clientFirst: `n,,${clientFirstBare}`, clientFinal };
+};
+
+const md5Password = (user, password, salt) => {
+  const inner = new Md5().update(`${password}${user}`).toString();
+  const outer = new Md5().update(concat(encoder.encode(inner), salt).buffer)
+    .toString();
+  return `md5${outer}`;
+};
+
+// Logs in and waits until the server is ready for queries.
+const startUp = async (conn, read, { user, password, database }) => {
+  await send(
+    conn,
+    message(
+      "",
+      int32(PROTOCOL_VERSION),
+      cstring("user"),
+      cstring(user),
+      cstring("database"),
+      cstring(database),
+      new Uint8Array([0]),
+    ),
+  );
+
+  let scram;
+  let serverSignature;
+  for (;;) {
+    const { type, body } = await read();
+    if (type === "E") {
+      throw serverError(body);
+    }
+    if (type === "Z") {
+      return;
+    }
+    if (type !== "R") {
+      // Parameter statuses, the key for cancelling queries and notices.
+      continue;
+    }
+
+    const code = readInt32(body);
+    if (code === 3) {
+      await send(conn, message("p", cstring(password)));
+    } else if (code === 5) {
+      const salt = body.slice(4, 8);
+      await send(
+        conn,
+        message("p", cstring(md5Password(user, password, salt))),
+      );
+    } else if (code === 10) {
+      if (!readStrings(body, 4).includes("SCRAM-SHA-256")) {
+        throw new Error("The database offers no supported SASL mechanism");
+      }
+      scram = createScram(
+        password,
+        toBase64(crypto.getRandomValues(new Uint8Array(18))),
+      );
+      const first = encoder.encode(scram.clientFirst);
+      await send(
+        conn,
+        message(
+          "p",
+          cstring("SCRAM-SHA-256"),
+          int32(first.length),
+          first,
+        ),
+      );
+    } else if (code === 11) {
+      const final = await scram.clientFinal(decoder.decode(body.subarray(4)));
+      serverSignature = final.serverSignature;
+      await send(conn, message("p", encoder.encode(final.message)));
+    } else if (code === 12) {
+      if (decoder.decode(body.subarray(4)) !== `v=${serverSignature}`) {
+        throw new Error("The database sent an invalid SCRAM signature");
+      }
+    } else if (code !== 0) {
+      throw new Error(`Unsupported authentication method ${code}`);
+    }
+  }
+};
+
+// Connects and LISTENs on `channel`, calling onNotification(payload) for
+// every notification. Resolves once listening to { closed, close }: closed
+// resolves when close() is called and rejects when the connection is lost.
+const listen = async (
+  { user, password, hostname, port, database },
+  channel,
+  onNotification,
+) => {
+  const conn = await Deno.connect({ hostname, port });
+  const read = createReader(conn);
+  try {
+    await startUp(conn, read, { user, password, database });
+    await send(conn, message("Q", cstring(`LISTEN "${channel}"`)));
+    for (;;) {
+      const { type, body } = await read();
+      if (type === "E") {
+        throw serverError(body);
+      }
+      if (type === "Z") {
+        break;
+      }
+    }
+  } catch (error) {
+    conn.close();
+    throw error;
+  }
+
+  let closing = false;
+  const receive = async () => {
+    try {
+      for (;;) {
+        const { type, body } = await read();
+        if (type === "A") {
+          const [, payload] = readStrings(body, 4);
+          onNotification(payload);
+        } else if (type === "E") {
+          throw serverError(body);
+        }
+      }
+    } catch (error) {
+      if (!closing) {
+        try {
+          conn.close();
+        } catch {
+          // Already closed.
+        }
+        throw error;
+      }
+    }
+  };
+
+  return {
+    closed: receive(),
+    close: () => {
+      if (closing) {
+        return;
+      }
+      closing = true;
+      try {
+        conn.close();
+      } catch {
+        // Already closed.
+      }
+    },
+  };
+};
+
+export { createScram, listen };
@@ -0,0 +1,55 @@
+// An in-memory stand-in for the PostgreSQL driver. Queries are answered by
+// responders, which are matched against the SQL in the order they were
+// added; a query without a responder gets an empty result. Every query is
+// recorded in `queries`. Transactions run their queries through the same
+// responders and cannot be rolled back. `notify(channel, payload)` delivers
+// a notification to whatever listens on the channel.
+const createMemoryDriver = () => {
+  const responders = [];
+  const queries = [];
+  const listeners = new Set();
+
+  const query = async (sql, params = []) => {
+    queries.push({ sql, params });
+    const responder = responders.find(({ pattern }) =>
+      pattern instanceof RegExp ? pattern.test(sql) : sql.includes(pattern)
+    );
+    const rows = responder ? (await responder.handler(params, sql)) ?? [] : [];
+    return { rows, rowCount: rows.length };
+  };
+
+  return {
+    queries,
+    respond(pattern, handler) {
+      responders.push({ pattern, handler });
+      return this;
+    },
+    notify(channel, payload) {
+      for (const listener of [...listeners]) {
+        if (listener.channel === channel) {
+          listener.onNotification(payload);
+        }
+      }
+      return this;
+    },
+    ping: async () => {},
+    query,
+    transaction: async (fn) => await fn({ query }),
+    listen: (channel, onNotification) => {
+      const listener = { channel, onNotification };
+      listeners.add(listener);
+      let resolve;
+      const closed = new Promise((done) => resolve = done);
+      return Promise.resolve({
+        closed,
+        close: () => {
+          listeners.delete(listener);
+          resolve();
+        },
+      });
+    },
+    close: async () => {},
+  };
+};
+
+export { createMemoryDriver };
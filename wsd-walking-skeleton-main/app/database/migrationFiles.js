@@ -0,0 +1,77 @@
+import { getConfig } from "../config/config.js";
+
+// Versioned Flyway migrations are named V<version>__<description>.sql, where
+// the version consists of numbers separated by dots or underscores.
+const MIGRATION_FILE = /^V(\d+(?:[._]\d+)*)__(.*)\.sql$/;
+
+const migrationsDirectory = () => getConfig().migrationsDir;
+
+const parseVersion = (version) => version.split(/[._]/).map(Number);
+
+const compareVersions = (a, b) => {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] ?? 0) - (right[i] ?? 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+};
+
+const listMigrationFiles = async (directory = migrationsDirectory()) => {
+  const files = [];
+  for await (const entry of Deno.readDir(directory)) {
+    const match = entry.isFile && MIGRATION_FILE.exec(entry.name);
+    if (match) {
+      files.push({
+        version: match[1].replaceAll("_", "."),
+        // Flyway keeps the leading space that the third underscore of
+        // V1___initial_schema.sql leaves.
+        description: match[2].replaceAll("_", " "),
+        filename: entry.name,
+      });
+    }
+  }
+  return files.sort((a, b) => compareVersions(a.version, b.version));
+};
+
+// Flyway's checksum: a CRC32 of the lines of the file, without line breaks
+// and byte order mark, stored as a signed 32-bit integer.
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const checksum = (text) => {
+  const encoder = new TextEncoder();
+  let crc = 0xffffffff;
+  const lines = text.replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+  // A trailing line break does not start another line.
+  if (lines.length > 1 && lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+  for (const line of lines) {
+    for (const byte of encoder.encode(line)) {
+      crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+  }
+  return (crc ^ 0xffffffff) | 0;
+};
+
+const readMigration = async (file, directory = migrationsDirectory()) => {
+  const sql = await Deno.readTextFile(`${directory}/${file.filename}`);
+  return { ...file, sql, checksum: checksum(sql) };
+};
+
+export {
+  checksum,
+  compareVersions,
+  listMigrationFiles,
+  migrationsDirectory,
+  readMigration,
+};
@@ -0,0 +1,224 @@
+import { executeQuery, withTransaction } from "./database.js";
+import {
+  compareVersions,
+  listMigrationFiles,
+  readMigration,
+} from "./migrationFiles.js";
+
+// A JavaScript counterpart of Flyway's migrate, info and validate commands.
+// It applies the V<version>__<description>.sql files of the migrations
+// directory and records them in flyway_schema_history in the same way as
+// Flyway, so that the two can be used on the same database.
+
+const HISTORY_TABLE = "flyway_schema_history";
+
+// Held while applying a migration, so that two runners starting at the same
+// time do not apply the same migration twice.
+const LOCK_ID = 804_371_218;
+
+class MigrationError extends Error {
+  constructor(problems) {
+    super(`Validation failed:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+    this.name = "MigrationError";
+    this.problems = problems;
+  }
+}
+
+const ensureHistoryTable = async () => {
+  await executeQuery(`CREATE TABLE IF NOT EXISTS ${HISTORY_TABLE} (
+    installed_rank INTEGER NOT NULL PRIMARY KEY,
+    version VARCHAR(50),
+    description VARCHAR(200) NOT NULL,
+    type VARCHAR(20) NOT NULL,
+    script VARCHAR(1000) NOT NULL,
+    checksum INTEGER,
+    installed_by VARCHAR(100) NOT NULL,
+    installed_on TIMESTAMP NOT NULL DEFAULT NOW(),
+    execution_time INTEGER NOT NULL,
+    success BOOLEAN NOT NULL
+  )`);
+  await executeQuery(
+    `CREATE INDEX IF NOT EXISTS ${HISTORY_TABLE}_s_idx ON ${HISTORY_TABLE} (success)`,
+  );
+};
+
+const historyRows = async () => {
+  const exists = await executeQuery("SELECT to_regclass($1) AS name", [
+    HISTORY_TABLE,
+  ]);
+  if (!exists.rows[0].name) {
+    return [];
+  }
+
+  const result = await executeQuery(
+    `SELECT installed_rank, version, description, type, script, checksum,
+        installed_on, success
+      FROM ${HISTORY_TABLE}
+      WHERE version IS NOT NULL
+      ORDER BY installed_rank`,
+  );
+  return result.rows;
+};
+
+const newestVersion = (rows) =>
+  rows.map((row) => row.version).sort(compareVersions).pop();
+
+// Lists every migration, both the files and those recorded in the history,
+// with its state: Success, Pending, Failed, Baseline, Below baseline, Ignored
+// (older than the newest applied migration but never applied) or Missing
+// (applied but without a file). Checksum and description differences are
+// listed in `problems`.
+const info = async () => {
+  const files = await Promise.all(
+    (await listMigrationFiles()).map((file) => readMigration(file)),
+  );
+  const rows = await historyRows();
+
+  const baseline = newestVersion(rows.filter((row) => row.type === "BASELINE"));
+  const newestApplied = newestVersion(rows.filter((row) => row.success));
+
+  const entries = files.map((file) => {
+    const row = rows.find((candidate) =>
+      compareVersions(candidate.version, file.version) === 0
+    );
+    const entry = {
+      version: file.version,
+      description: file.description,
+      script: file.filename,
+      checksum: file.checksum,
+      sql: file.sql,
+      installedOn: row?.installed_on ?? null,
+      problems: [],
+    };
+
+    if (!row) {
+      if (baseline && compareVersions(file.version, baseline) <= 0) {
+        entry.state = "Below baseline";
+      } else if (
+        newestApplied && compareVersions(file.version, newestApplied) < 0
+      ) {
+        entry.state = "Ignored";
+        entry.problems.push(
+          `Detected resolved migration not applied to database: ${file.version}`,
+        );
+      } else {
+        entry.state = "Pending";
+      }
+      return entry;
+    }
+
+    if (row.type === "BASELINE") {
+      entry.state = "Baseline";
+      return entry;
+    }
+
+    entry.state = row.success ? "Success" : "Failed";
+    if (!row.success) {
+      entry.problems.push(
+        `Detected failed migration to version ${file.version}. Fix the migration and remove its row from ${HISTORY_TABLE}.`,
+      );
+    }
+    if (row.checksum !== file.checksum) {
+      entry.problems.push(
+        `Migration checksum mismatch for migration version ${file.version}: applied to database ${row.checksum}, resolved locally ${file.checksum}. The migration file has been edited after it was applied.`,
+      );
+    }
+    if (row.description !== file.description) {
+      entry.problems.push(
+        `Migration description mismatch for migration version ${file.version}: applied to database "${row.description}", resolved locally "${file.description}"`,
+      );
+    }
+    return entry;
+  });
+
+  for (const row of rows) {
+    const hasFile = files.some((file) =>
+      compareVersions(file.version, row.version) === 0
+    );
+    if (!hasFile && row.type !== "BASELINE") {
+      entries.push({
+        version: row.version,
+        description: row.description,
+        script: row.script,
+        checksum: row.checksum,
+        installedOn: row.installed_on,
+        state: "Missing",
+        problems: [
+          `Detected applied migration not resolved locally: ${row.version}`,
+        ],
+      });
+    }
+  }
+
+  return entries.sort((a, b) => compareVersions(a.version, b.version));
+};
+
+// Checks the applied migrations against the files. Pending migrations are a
+// problem unless `allowPending` is set, as when validating before migrate.
+const validate = async ({ allowPending = false } = {}) => {
+  const entries = await info();
+  const problems = entries.flatMap((entry) => entry.problems);
+  if (!allowPending) {
+    for (const entry of entries.filter((e) => e.state === "Pending")) {
+      problems.push(
+        `Detected resolved migration not applied to database: ${entry.version}`,
+      );
+    }
+  }
+  return { valid: problems.length === 0, problems };
+};
+
+const apply = async (entry) => {
+  return await withTransaction(async (transaction) => {
+    await transaction.query("SELECT pg_advisory_xact_lock($1)", [LOCK_ID]);
+
+    const applied = await transaction.query(
+      `SELECT 1 FROM ${HISTORY_TABLE} WHERE version = $1 AND success`,
+      [entry.version],
+    );
+    if (applied.rows.length > 0) {
+      return false;
+    }
+
+    const start = performance.now();
+    await transaction.query(entry.sql);
+    const executionTime = Math.round(performance.now() - start);
+
+    await transaction.query(
+      `INSERT INTO ${HISTORY_TABLE} (installed_rank, version, description,
+          type, script, checksum, installed_by, execution_time, success)
+        SELECT COALESCE(MAX(installed_rank), 0) + 1, $1, $2, 'SQL', $3, $4,
+          current_user, $5, TRUE
+        FROM ${HISTORY_TABLE}`,
+      [
+        entry.version,
+        entry.description,
+        entry.script,
+        entry.checksum,
+        executionTime,
+      ],
+    );
+    return true;
+  });
+};
+
+// Validates the applied migrations and applies the pending ones in order,
+// each in a transaction of its own. Resolves to the versions applied.
+const migrate = async () => {
+  await ensureHistoryTable();
+
+  const { valid, problems } = await validate({ allowPending: true });
+  if (!valid) {
+    throw new MigrationError(problems);
+  }
+
+  const applied = [];
+  for (const entry of await info()) {
+    if (entry.state === "Pending" && await apply(entry)) {
+      applied.push(entry.version);
+    }
+  }
+  return applied;
+};
+
+export { info, migrate, MigrationError, validate };
@@ -0,0 +1,259 @@
+import { bcrypt } from "../deps.js";
+import { executeQuery, withTransaction } from "./database.js";
+
+// Fake data for demos and load tests. The same seed always gives the same
+// data, and reset() restarts the id sequences of the data tables, so that a
+// reset followed by a seed always leaves the database in the same state.
+
+const FIRST_NAMES = [
+  "Aino",
+  "Eero",
+  "Helmi",
+  "Ilmari",
+  "Johanna",
+  "Kalle",
+  "Lauri",
+  "Maria",
+  "Niko",
+  "Olivia",
+  "Pekka",
+  "Saara",
+  "Tuomas",
+  "Venla",
+  "Aleksi",
+  "Emma",
+];
+
+const LAST_NAMES = [
+  "Virtanen",
+  "Korhonen",
+  "Mäkinen",
+  "Nieminen",
+  "Mäkelä",
+  "Hämäläinen",
+  "Laine",
+  "Heikkinen",
+  "Koskinen",
+  "Järvinen",
+  "Lehtonen",
+  "Lehtinen",
+  "Saarinen",
+  "Salminen",
+];
+
+const STREETS = [
+  "Mannerheimintie",
+  "Hämeenkatu",
+  "Aleksanterinkatu",
+  "Kauppakatu",
+  "Rantatie",
+  "Koulukatu",
+  "Puistotie",
+  "Asemakatu",
+  "Kirkkokatu",
+  "Satamakatu",
+];
+
+const CITIES = [
+  ["00100", "Helsinki"],
+  ["02150", "Espoo"],
+  ["33100", "Tampere"],
+  ["20100", "Turku"],
+  ["90100", "Oulu"],
+  ["40100", "Jyväskylä"],
+  ["15110", "Lahti"],
+  ["70100", "Kuopio"],
+];
+
+class SeedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SeedError";
+  }
+}
+
+// The password of every seeded user.
+const SEED_PASSWORD = "password123";
+
+// Tables emptied by reset(), in an order that respects foreign keys.
+const TABLES = [
+  "sessions",
+  "rate_limits",
+  "change_events",
+  "addresses",
+  "names",
+  "users",
+];
+
+// Tables whose ids are not restarted by reset(). Running app instances and
+// clients that resume with Last-Event-ID remember change event ids, which
+// must not be handed out again.
+const KEEP_IDENTITY = ["change_events"];
+
+// Postgres allows at most 65535 parameters per query.
+const ROWS_PER_INSERT = 1000;
+
+// mulberry32, a small deterministic pseudorandom number generator.
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const integer = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (values) => values[integer(0, values.length - 1)];
+  return { next, integer, pick };
+};
+
+const generateSeedData = (
+  { users = 5, names = 100, addresses = 100, seed = 1 } = {},
+) => {
+  const random = createRandom(seed);
+  const fullName = () =>
+    `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`;
+
+  const data = { users: [], names: [], addresses: [] };
+  for (let i = 1; i <= users; i++) {
+    // Without diacritics, e.g. Mäkinen becomes makinen.
+    const [first, last] = fullName().normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "").toLowerCase().split(" ");
+    data.users.push({ email: `${first}.${last}.${i}@example.com` });
+  }
+  for (let i = 0; i < names; i++) {
+    data.names.push({ name: fullName() });
+  }
+  for (let i = 0; i < addresses; i++) {
+    const [postalCode, city] = random.pick(CITIES);
+    data.addresses.push({
+      // An index to data.users, or null when there are no users.
+      user: users > 0 ? random.integer(0, users - 1) : null,
+      name: fullName(),
+      address: `${random.pick(STREETS)} ${random.integer(1, 120)}, ` +
+        `${postalCode} ${city}`,
+    });
+  }
+  return data;
+};
+
+const existingTables = async (tables) => {
+  const result = await executeQuery(
+    "SELECT name FROM unnest($1::text[]) AS name WHERE to_regclass(name) IS NOT NULL",
+    [tables],
+  );
+  return result.rows.map((row) => row.name);
+};
+
+// Inserts rows with as few queries as possible. Resolves to the ids of the
+// inserted rows, in order.
+const insertRows = async (transaction, table, columns, rows) => {
+  const ids = [];
+  for (let start = 0; start < rows.length; start += ROWS_PER_INSERT) {
+    const chunk = rows.slice(start, start + ROWS_PER_INSERT);
+    const values = chunk.map((_, row) =>
+      `(${
+        columns.map((_, column) => `$${row * columns.length + column + 1}`)
+          .join(", ")
+      })`
+    );
+    const result = await transaction.query(
+      `INSERT INTO ${table} (${columns.join(", ")}) VALUES ${
+        values.join(", ")
+      } RETURNING id`,
+      chunk.flatMap((row) => columns.map((column) => row[column])),
+    );
+    ids.push(...result.rows.map((row) => row.id));
+  }
+  return ids;
+};
+
+// The first of the given email addresses that is already registered.
+const findRegistered = async (transaction, emails) => {
+  const result = await transaction.query(
+    "SELECT email FROM users WHERE email = ANY($1::text[]) ORDER BY email LIMIT 1",
+    [emails],
+  );
+  return result.rows[0]?.email;
+};
+
+// Adds the generated data in one transaction. Users are only added when the
+// users table exists. Rejects with a SeedError when the seeded users already
+// exist, as their email addresses must be unique. Resolves to the number of
+// rows added to each table.
+const seed = async (options = {}) => {
+  const hasUsers = (await existingTables(["users"])).length > 0;
+  const data = generateSeedData({
+    ...options,
+    users: hasUsers ? options.users : 0,
+  });
+  const password = data.users.length > 0
+    ? await bcrypt.hash(SEED_PASSWORD)
+    : undefined;
+
+  await withTransaction(async (transaction) => {
+    const registered = data.users.length > 0
+      ? await findRegistered(transaction, data.users.map(({ email }) => email))
+      : undefined;
+    if (registered) {
+      throw new SeedError(
+        `The user ${registered} already exists, so the database has been ` +
+          "seeded before. Use --reset to empty the tables first.",
+      );
+    }
+
+    const userIds = await insertRows(
+      transaction,
+      "users",
+      ["email", "password"],
+      data.users.map((user) => ({ ...user, password })),
+    );
+    await insertRows(transaction, "names", ["name"], data.names);
+    await insertRows(
+      transaction,
+      "addresses",
+      hasUsers ? ["user_id", "name", "address"] : ["name", "address"],
+      data.addresses.map((address) => ({
+        ...address,
+        user_id: userIds[address.user] ?? null,
+      })),
+    );
+  });
+
+  return {
+    users: data.users.length,
+    names: data.names.length,
+    addresses: data.addresses.length,
+  };
+};
+
+// Empties the data tables and restarts their id sequences. The migration
+// history is kept. Resolves to the names of the emptied tables.
+const reset = async () => {
+  const tables = await existingTables(TABLES);
+  const restarted = tables.filter((table) => !KEEP_IDENTITY.includes(table));
+  const kept = tables.filter((table) => KEEP_IDENTITY.includes(table));
+  await withTransaction(async (transaction) => {
+    if (restarted.length > 0) {
+      await transaction.query(
+        `TRUNCATE ${restarted.join(", ")} RESTART IDENTITY CASCADE`,
+      );
+    }
+    if (kept.length > 0) {
+      await transaction.query(
+        `TRUNCATE ${kept.join(", ")} CONTINUE IDENTITY`,
+      );
+    }
+  });
+  return tables;
+};
+
+export {
+  createRandom,
+  generateSeedData,
+  reset,
+  seed,
+  SEED_PASSWORD,
+  SeedError,
+};
@@ -0,0 +1,16 @@
+export {
+  deadline,
+  DeadlineError,
+} from "https://deno.land/std@0.120.0/async/deadline.ts";
+export { deferred } from "https://deno.land/std@0.120.0/async/deferred.ts";
+export { delay } from "https://deno.land/std@0.120.0/async/delay.ts";
+export {
+  deleteCookie,
+  getCookies,
+  setCookie,
+} from "https://deno.land/std@0.120.0/http/cookie.ts";
+export { Md5 } from "https://deno.land/std@0.120.0/hash/md5.ts";
+export { Server } from "https://deno.land/std@0.120.0/http/server.ts";
+export { Client, Pool } from "https://deno.land/x/postgres@v0.14.2/mod.ts";
+export { configure, renderFile } from "https://deno.land/x/eta@v1.12.3/mod.ts";
+export * as bcrypt from "https://deno.land/x/bcrypt@v0.2.4/mod.ts";
@@ -0,0 +1,56 @@
+import { json } from "../utils/http.js";
+
+const API_PREFIX = "/api/v1/";
+
+const STATUS_MESSAGES = {
+  400: "Bad Request",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "Not Found",
+  405: "Method Not Allowed",
+  413: "Payload Too Large",
+  415: "Unsupported Media Type",
+  429: "Too Many Requests",
+  500: "Internal Server Error",
+  503: "Service Unavailable",
+};
+
+const readError = async (response) => {
+  const contentType = response.headers.get("Content-Type") ?? "";
+  const text = await response.text();
+  if (contentType.includes("application/json")) {
+    try {
+      const { error, ...details } = JSON.parse(text);
+      if (typeof error === "string") {
+        return { message: error, ...details };
+      }
+    } catch {
+      // Not JSON after all; described by the status below.
+    }
+  }
+  if (contentType === "" || contentType.startsWith("text/plain")) {
+    if (text.length > 0 && text.length <= 200) {
+      return { message: text };
+    }
+  }
+  return { message: STATUS_MESSAGES[response.status] ?? "Error" };
+};
+
+// Gives every error response of the API for scripts the same shape,
+// { "error": { "status": 404, "message": "Name not found", ... } }, whichever
+// middleware or handler produced it. Further details, such as the errors of
+// each field, are kept next to the message.
+const apiErrorMiddleware = async ({ url }, next) => {
+  const response = await next();
+  if (!url.pathname.startsWith(API_PREFIX) || response.status < 400) {
+    return response;
+  }
+
+  const error = await readError(response);
+  return json({ error: { status: response.status, ...error } }, {
+    status: response.status,
+    headers: response.headers,
+  });
+};
+
+export { apiErrorMiddleware };
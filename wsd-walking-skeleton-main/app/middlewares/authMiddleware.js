@@ -0,0 +1,94 @@
+import * as apiKeyService from "../services/apiKeyService.js";
+import * as userService from "../services/userService.js";
+import { expectsJson, jsonError, redirect } from "../utils/http.js";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+const PUBLIC_PATHS = ["/auth/login", "/auth/register", "/auth/logout"];
+// API keys are only accepted here, and checked by requireApiKey.
+const API_PREFIX = "/api/v1/";
+
+const unauthorized = (message) =>
+  jsonError(401, message, {}, {
+    headers: { "WWW-Authenticate": 'Bearer realm="api"' },
+  });
+
+const bearerToken = (request) => {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(
+    request.headers.get("Authorization") ?? "",
+  );
+  return match?.[1];
+};
+
+// Sets `context.user` to the logged in user, or to null. A request to the API
+// with an API key (Authorization: Bearer <key>) is made as the owner of the
+// key, regardless of the session, and `context.apiKey` is set. Requests with
+// an invalid key are rejected. Keys are ignored outside the API, so a leaked
+// key can't be used to manage keys in the settings pages.
+const userMiddleware = async (context, next) => {
+  const key = context.url.pathname.startsWith(API_PREFIX)
+    ? bearerToken(context.request)
+    : undefined;
+  if (key !== undefined) {
+    const user = await apiKeyService.findUserByKey(key, context.db);
+    if (!user) {
+      return unauthorized("Invalid API key");
+    }
+    context.user = user;
+    context.apiKey = true;
+    return await next();
+  }
+
+  const userId = context.session.userId;
+  context.user = userId
+    ? await userService.findById(userId, context.db) ?? null
+    : null;
+  return await next();
+};
+
+const loginUrl = ({ request, url }) => {
+  const next = SAFE_METHODS.includes(request.method)
+    ? `${url.pathname}${url.search}`
+    : "/";
+  return `/auth/login?next=${encodeURIComponent(next)}`;
+};
+
+// Requests that change data require a logged in user. Browsers are sent to
+// the login page, JSON clients get 401 Unauthorized.
+const protectMutations = async (context, next) => {
+  const { request, url, user } = context;
+  if (
+    user || SAFE_METHODS.includes(request.method) ||
+    PUBLIC_PATHS.includes(url.pathname) || url.pathname.startsWith(API_PREFIX)
+  ) {
+    return await next();
+  }
+
+  if (expectsJson(request)) {
+    return jsonError(401, "Authentication required");
+  }
+  return redirect(loginUrl(context));
+};
+
+// Goes before the handlers of pages that are only available to logged in
+// users. A user authenticated with an API key is not logged in.
+const requireUser = async (context, next) => {
+  if (context.user && !context.apiKey) {
+    return await next();
+  }
+
+  if (expectsJson(context.request)) {
+    return jsonError(401, "Authentication required");
+  }
+  return redirect(loginUrl(context));
+};
+
+// Goes before the handlers of the API for scripts, which is only available
+// with an API key.
+const requireApiKey = async (context, next) => {
+  if (context.apiKey) {
+    return await next();
+  }
+  return unauthorized("API key required");
+};
+
+export { protectMutations, requireApiKey, requireUser, userMiddleware };
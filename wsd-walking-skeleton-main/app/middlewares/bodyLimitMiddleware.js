@@ -0,0 +1,61 @@
+import { getConfig } from "../config/config.js";
+import { expectsJson, jsonError } from "../utils/http.js";
+import { render } from "../utils/render.js";
+
+const tooLarge = async (context, limit) => {
+  context.log?.warn("Request body too large", {
+    method: context.request.method,
+    path: context.url.pathname,
+    limit,
+  });
+  if (expectsJson(context.request)) {
+    return jsonError(413, "Payload Too Large");
+  }
+  return await render(context, "error.eta", {
+    title: "Too large",
+    message: `The request is too large. At most ${
+      Math.floor(limit / 1024)
+    } kB can be sent at once.`,
+  }, { status: 413 });
+};
+
+// Reads the body of the request before anything else does, and answers with
+// 413 Payload Too Large when it is longer than MAX_BODY_BYTES. Chunked
+// requests have no Content-Length, so the body is counted as it is read.
+// Goes before the middlewares that read the body, such as the CSRF check.
+const bodyLimitMiddleware = async (context, next) => {
+  const { request } = context;
+  if (!request.body) {
+    return await next();
+  }
+
+  const limit = getConfig().maxBodyBytes;
+  if (Number(request.headers.get("Content-Length")) > limit) {
+    return await tooLarge(context, limit);
+  }
+
+  const reader = request.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+    size += value.byteLength;
+    if (size > limit) {
+      await reader.cancel();
+      return await tooLarge(context, limit);
+    }
+    chunks.push(value);
+  }
+
+  context.request = new Request(request.url, {
+    method: request.method,
+    headers: request.headers,
+    body: new Blob(chunks),
+  });
+  return await next();
+};
+
+export { bodyLimitMiddleware };
@@ -0,0 +1,79 @@
+import { getConfig } from "../config/config.js";
+
+// The JSON API can be used from pages on the origins listed in CORS_ORIGINS
+// (comma-separated, e.g. "https://example.com,http://localhost:3000"). The
+// HTML pages are not available to other origins.
+const API_PATHS = ["/names", "/api/v1"];
+const ALLOWED_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+const ALLOWED_HEADERS = [
+  "Authorization",
+  "Content-Type",
+  "X-CSRF-Token",
+  "X-Request-Id",
+];
+const EXPOSED_HEADERS = ["Link", "Location", "Retry-After", "X-Request-Id"];
+const MAX_AGE_SECONDS = 600;
+
+const isApiPath = (pathname) =>
+  API_PATHS.some((path) =>
+    pathname === path || pathname.startsWith(`${path}/`)
+  );
+
+const appendVary = (headers) => {
+  const vary = headers.get("Vary");
+  if (!vary) {
+    headers.set("Vary", "Origin");
+  } else if (!/\borigin\b/i.test(vary)) {
+    headers.set("Vary", `${vary}, Origin`);
+  }
+};
+
+const corsMiddleware = async ({ request, url }, next) => {
+  if (!isApiPath(url.pathname)) {
+    return await next();
+  }
+
+  const origin = request.headers.get("Origin");
+  const allowed = origin !== null && getConfig().corsOrigins.includes(origin);
+
+  // Preflight requests are answered here, before they reach authentication,
+  // which they could not pass.
+  const requestedMethod = request.headers.get("Access-Control-Request-Method");
+  if (request.method === "OPTIONS" && requestedMethod !== null) {
+    const headers = new Headers();
+    appendVary(headers);
+    if (allowed && ALLOWED_METHODS.includes(requestedMethod)) {
+      const requestedHeaders =
+        (request.headers.get("Access-Control-Request-Headers") ?? "")
+          .split(",")
+          .map((header) => header.trim())
+          .filter((header) => header.length > 0);
+      const permitted = requestedHeaders.filter((header) =>
+        ALLOWED_HEADERS.some((name) =>
+          name.toLowerCase() === header.toLowerCase()
+        )
+      );
+
+      headers.set("Access-Control-Allow-Origin", origin);
+      headers.set("Access-Control-Allow-Methods", ALLOWED_METHODS.join(", "));
+      if (permitted.length > 0) {
+        headers.set("Access-Control-Allow-Headers", permitted.join(", "));
+      }
+      headers.set("Access-Control-Max-Age", String(MAX_AGE_SECONDS));
+    }
+    return new Response(null, { status: 204, headers });
+  }
+
+  const response = await next();
+  appendVary(response.headers);
+  if (allowed) {
+    response.headers.set("Access-Control-Allow-Origin", origin);
+    response.headers.set(
+      "Access-Control-Expose-Headers",
+      EXPOSED_HEADERS.join(", "),
+    );
+  }
+  return response;
+};
+
+export { corsMiddleware };
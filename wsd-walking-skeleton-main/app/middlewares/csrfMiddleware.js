@@ -0,0 +1,83 @@
+import { randomToken, timingSafeEqual } from "../utils/crypto.js";
+import { jsonError, prefersJson } from "../utils/http.js";
+import { render } from "../utils/render.js";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+const FIELD_NAME = "_csrf";
+const HEADER_NAME = "X-CSRF-Token";
+// Only API keys are accepted there, never the session cookie.
+const API_PREFIX = "/api/v1/";
+
+const submittedToken = async (request) => {
+  const header = request.headers.get(HEADER_NAME);
+  if (header) {
+    return header;
+  }
+
+  const contentType = request.headers.get("Content-Type") ?? "";
+  if (
+    contentType.includes("application/x-www-form-urlencoded") ||
+    contentType.includes("multipart/form-data")
+  ) {
+    try {
+      // The handler reads the body again, so the token is read from a copy.
+      const value = (await request.clone().formData()).get(FIELD_NAME);
+      return typeof value === "string" ? value : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+
+  return undefined;
+};
+
+// Protects state-changing requests made with the session cookie against
+// cross-site request forgery. Each session has a token, which render() adds
+// to every form as the _csrf field; scripts send it in the X-CSRF-Token
+// header. Requests authenticated with an API key (`context.apiKey`) do not
+// rely on the cookie and need no token, and neither do requests to the API
+// for scripts. Other Authorization headers are ignored by userMiddleware, so
+// they do not exempt a request.
+const csrfMiddleware = async (context, next) => {
+  const { request, session } = context;
+
+  // Creates the token on first use, so that sessions are not started for
+  // requests that render no forms.
+  context.csrfToken = () => {
+    let token = session.get("csrfToken");
+    if (!token) {
+      token = randomToken();
+      session.set("csrfToken", token);
+    }
+    return token;
+  };
+
+  if (
+    SAFE_METHODS.includes(request.method) ||
+    context.apiKey ||
+    context.url.pathname.startsWith(API_PREFIX)
+  ) {
+    return await next();
+  }
+
+  const expected = session.get("csrfToken");
+  const submitted = await submittedToken(request);
+  if (expected && submitted && timingSafeEqual(submitted, expected)) {
+    return await next();
+  }
+
+  context.log?.warn("CSRF token missing or invalid", {
+    method: request.method,
+    path: context.url.pathname,
+  });
+  if (prefersJson(request) || !request.headers.has("Content-Type")) {
+    return jsonError(403, "Invalid CSRF token");
+  }
+  return await render(context, "error.eta", {
+    title: "Forbidden",
+    message:
+      "The form has expired. Go back, reload the page and submit the form again.",
+  }, { status: 403 });
+};
+
+export { csrfMiddleware };
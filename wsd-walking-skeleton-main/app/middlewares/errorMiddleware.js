@@ -0,0 +1,26 @@
+import { jsonError, prefersJson } from "../utils/http.js";
+import { render } from "../utils/render.js";
+
+const errorPage = async (context) => {
+  try {
+    return await render(context, "error.eta", {}, { status: 500 });
+  } catch {
+    return new Response("Internal Server Error", { status: 500 });
+  }
+};
+
+// Turns errors thrown by the following middlewares into a 500 response, so
+// that details of the error are logged but not shown to the client.
+const errorMiddleware = async (context, next) => {
+  try {
+    return await next();
+  } catch (error) {
+    context.log.error("Unhandled error", { error });
+    if (prefersJson(context.request)) {
+      return jsonError(500, "Internal Server Error");
+    }
+    return await errorPage(context);
+  }
+};
+
+export { errorMiddleware };
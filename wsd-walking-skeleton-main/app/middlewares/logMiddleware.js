@@ -0,0 +1,54 @@
+import { createDatabase } from "../database/database.js";
+import { logger } from "../utils/logger.js";
+import { countBytes } from "../utils/streams.js";
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+// An incoming request id is kept if it looks like one, so that a request can
+// be followed through proxies in front of the app.
+const requestIdFor = (request) => {
+  const incoming = request.headers.get(REQUEST_ID_HEADER);
+  return incoming && /^[\w.:-]{1,128}$/.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+};
+
+// Gives every request an id, available as `context.state.requestId`, a
+// logger that includes it as `context.log`, and the database as `context.db`,
+// which logs the queries with that logger. Writes an access log entry when
+// the response has been sent.
+const logMiddleware = async (context, next) => {
+  const { request, url } = context;
+  const requestId = requestIdFor(request);
+  context.state.requestId = requestId;
+  context.log = logger.child({ requestId });
+  context.db = createDatabase(context.log);
+
+  const start = performance.now();
+  const response = await next();
+  response.headers.set(REQUEST_ID_HEADER, requestId);
+
+  const log = (bytes, aborted) => {
+    context.log.info("request", {
+      method: request.method,
+      path: url.pathname,
+      status: response.status,
+      durationMs: Math.round((performance.now() - start) * 100) / 100,
+      bytes,
+      ...(aborted ? { aborted } : {}),
+    });
+  };
+
+  if (!response.body) {
+    log(0, false);
+    return response;
+  }
+
+  return new Response(countBytes(response.body, log), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+};
+
+export { logMiddleware };
@@ -0,0 +1,60 @@
+import * as rateLimitService from "../services/rateLimitService.js";
+import { clientIp, expectsJson, jsonError } from "../utils/http.js";
+import { render } from "../utils/render.js";
+
+const keyFor = (context, name, key) => {
+  if (typeof key === "function") {
+    return `${name}:${key(context)}`;
+  }
+  if (key === "user" && context.user) {
+    return `${name}:user:${context.user.id}`;
+  }
+  return `${name}:ip:${clientIp(context)}`;
+};
+
+// Creates a route middleware that allows a burst of `capacity` requests and
+// then `refillPerSecond` requests per second. Requests are counted per client
+// IP address, or with key: "user" per logged in user (falling back to the IP
+// address), or by the string returned by a key function. Limits with the same
+// name share their buckets.
+const rateLimit = ({ name, capacity, refillPerSecond, key = "ip" }) =>
+async (
+  context,
+  next,
+) => {
+  const limit = { capacity, refillPerSecond };
+
+  let result;
+  try {
+    result = await rateLimitService.take(
+      keyFor(context, name, key),
+      limit,
+      context.db,
+    );
+  } catch (error) {
+    // A broken store should not take the whole app down with it.
+    context.log?.error("Rate limit store failed", { error });
+    return await next();
+  }
+
+  if (result.allowed) {
+    return await next();
+  }
+
+  const retryAfter = Math.max(
+    1,
+    Math.ceil((1 - result.tokens) / refillPerSecond),
+  );
+  context.log?.warn("Rate limit exceeded", { limit: name });
+
+  const headers = { "Retry-After": String(retryAfter) };
+  if (expectsJson(context.request)) {
+    return jsonError(429, "Too Many Requests", {}, { headers });
+  }
+  return await render(context, "error.eta", {
+    title: "Too many requests",
+    message: `Please wait ${retryAfter} seconds and try again.`,
+  }, { status: 429, headers });
+};
+
+export { rateLimit };
@@ -0,0 +1,94 @@
+import { deleteCookie, getCookies, setCookie } from "../deps.js";
+import * as sessionService from "../services/sessionService.js";
+import { randomToken, sign, unsign } from "../utils/crypto.js";
+
+const COOKIE_NAME = "sid";
+const MAX_AGE_SECONDS = 60 * 60 * 24 * 7;
+
+const createSession = (stored) => {
+  const session = {
+    storedId: stored?.id,
+    userId: stored?.user_id ?? null,
+    data: stored?.data ?? {},
+    changed: false,
+    regenerate: false,
+    destroyed: false,
+    get: (key) => session.data[key],
+    set: (key, value) => {
+      session.data[key] = value;
+      session.changed = true;
+    },
+    // Logging in issues a new session id, so that an id planted before the
+    // login cannot be used to take over the account.
+    setUser: (userId) => {
+      session.userId = userId;
+      session.changed = true;
+      session.regenerate = true;
+    },
+    destroy: () => {
+      session.destroyed = true;
+    },
+  };
+  return session;
+};
+
+const cookieOptions = {
+  httpOnly: true,
+  sameSite: "Lax",
+  path: "/",
+};
+
+const persist = async (session, headers, db) => {
+  if (session.destroyed) {
+    if (session.storedId) {
+      await sessionService.destroy(session.storedId, db);
+      deleteCookie(headers, COOKIE_NAME, { path: "/" });
+    }
+    return;
+  }
+
+  if (!session.changed) {
+    return;
+  }
+
+  let id = session.storedId;
+  if (!id || session.regenerate) {
+    if (id) {
+      await sessionService.destroy(id, db);
+    } else {
+      await sessionService.removeExpired(db);
+    }
+    id = randomToken();
+  }
+
+  await sessionService.save({
+    id,
+    userId: session.userId,
+    data: session.data,
+    expiresAt: new Date(Date.now() + MAX_AGE_SECONDS * 1000),
+  }, db);
+  setCookie(headers, {
+    ...cookieOptions,
+    name: COOKIE_NAME,
+    value: await sign(id),
+    maxAge: MAX_AGE_SECONDS,
+  });
+};
+
+// Loads the session identified by the signed session cookie into
+// `context.session` and stores it after the request has been handled. New
+// sessions are only stored once something is written into them.
+const sessionMiddleware = async (context, next) => {
+  const cookie = getCookies(context.request.headers)[COOKIE_NAME];
+  const id = cookie && await unsign(cookie);
+  const stored = id ? await sessionService.find(id, context.db) : undefined;
+
+  const session = createSession(stored);
+  context.session = session;
+
+  const response = await next();
+  await persist(session, response.headers, context.db);
+  return response;
+};
+
+export { sessionMiddleware };
@@ -0,0 +1,159 @@
+const PREFIX = "/static/";
+const ROOT = new URL("../public/", import.meta.url).pathname;
+
+const CONTENT_TYPES = {
+  css: "text/css; charset=utf-8",
+  gif: "image/gif",
+  html: "text/html; charset=utf-8",
+  ico: "image/x-icon",
+  jpeg: "image/jpeg",
+  jpg: "image/jpeg",
+  js: "text/javascript; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  map: "application/json; charset=utf-8",
+  mjs: "text/javascript; charset=utf-8",
+  pdf: "application/pdf",
+  png: "image/png",
+  svg: "image/svg+xml",
+  txt: "text/plain; charset=utf-8",
+  webp: "image/webp",
+  woff: "font/woff",
+  woff2: "font/woff2",
+};
+
+const contentType = (path) => {
+  const extension = path.slice(path.lastIndexOf(".") + 1).toLowerCase();
+  return CONTENT_TYPES[extension] ?? "application/octet-stream";
+};
+
+// Maps the request path to a file below ROOT. Paths that could point outside
+// of it (.. segments, encoded slashes, backslashes, NUL bytes) or to hidden
+// files are rejected.
+const resolvePath = (pathname) => {
+  let relative;
+  try {
+    relative = decodeURIComponent(pathname.slice(PREFIX.length));
+  } catch {
+    return undefined;
+  }
+
+  const segments = relative.split("/");
+  const unsafe = segments.some((segment) =>
+    segment === "" || segment.startsWith(".") || segment.includes("\\") ||
+    segment.includes("\0")
+  );
+  return unsafe ? undefined : `${ROOT}${segments.join("/")}`;
+};
+
+const statFile = async (path) => {
+  try {
+    const info = await Deno.stat(path);
+    return info.isFile ? info : undefined;
+  } catch (error) {
+    if (error instanceof Deno.errors.NotFound) {
+      return undefined;
+    }
+    throw error;
+  }
+};
+
+const etagFor = (info) =>
+  `"${info.size.toString(16)}-${(info.mtime?.getTime() ?? 0).toString(16)}"`;
+
+const notModified = (request, etag, lastModified) => {
+  const ifNoneMatch = request.headers.get("If-None-Match");
+  if (ifNoneMatch !== null) {
+    // If-None-Match uses the weak comparison, which ignores the W/ prefix.
+    return ifNoneMatch.split(",").some((tag) => {
+      const value = tag.trim().replace(/^W\//, "");
+      return value === etag || value === "*";
+    });
+  }
+
+  const ifModifiedSince = Date.parse(request.headers.get("If-Modified-Since"));
+  return lastModified !== undefined && !Number.isNaN(ifModifiedSince) &&
+    Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+};
+
+// Parses a single "bytes=start-end" range. Resolves to undefined when there
+// is no usable range and to null when the range cannot be satisfied.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header?.trim() ?? "");
+  if (!match || (match[1] === "" && match[2] === "")) {
+    return undefined;
+  }
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  return start <= end && start < size ? { start, end } : null;
+};
+
+// Serves the files of app/public under /static/, with validators for
+// conditional requests and support for single byte ranges.
+const staticMiddleware = async ({ request, url }, next) => {
+  if (
+    !url.pathname.startsWith(PREFIX) ||
+    !["GET", "HEAD"].includes(request.method)
+  ) {
+    return await next();
+  }
+
+  const path = resolvePath(url.pathname);
+  const info = path && await statFile(path);
+  if (!info) {
+    return new Response("Not Found", { status: 404 });
+  }
+
+  const etag = etagFor(info);
+  const headers = new Headers({
+    "Accept-Ranges": "bytes",
+    "Cache-Control": "public, max-age=3600",
+    "ETag": etag,
+  });
+  if (info.mtime) {
+    headers.set("Last-Modified", info.mtime.toUTCString());
+  }
+
+  if (notModified(request, etag, info.mtime ?? undefined)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  // A range is only honoured if the client's copy is still current.
+  const ifRange = request.headers.get("If-Range");
+  const range = ifRange === null || ifRange === etag
+    ? parseRange(request.headers.get("Range"), info.size)
+    : undefined;
+
+  if (range === null) {
+    headers.set("Content-Range", `bytes */${info.size}`);
+    return new Response(null, { status: 416, headers });
+  }
+
+  headers.set("Content-Type", contentType(path));
+  const body = request.method === "HEAD" ? null : await Deno.readFile(path);
+
+  if (range) {
+    headers.set(
+      "Content-Range",
+      `bytes ${range.start}-${range.end}/${info.size}`,
+    );
+    headers.set("Content-Length", String(range.end - range.start + 1));
+    return new Response(body?.subarray(range.start, range.end + 1), {
+      status: 206,
+      headers,
+    });
+  }
+
+  headers.set("Content-Length", String(info.size));
+  return new Response(body, { headers });
+};
+
+export { staticMiddleware };
@@ -0,0 +1,83 @@
+// Runs the migrations of flyway/sql without Flyway, e.g. for tests:
+//
+//   deno run --allow-net --allow-read --allow-env migrate.js <command>
+//
+// where <command> is migrate, info or validate.
+import { ConfigError } from "./config/config.js";
+import * as database from "./database/database.js";
+import {
+  info,
+  migrate,
+  MigrationError,
+  validate,
+} from "./database/migrations.js";
+
+const printInfo = (entries) => {
+  const rows = [
+    ["Version", "Description", "State", "Installed on"],
+    ...entries.map((entry) => [
+      entry.version,
+      entry.description.trim(),
+      entry.state,
+      entry.installedOn ? new Date(entry.installedOn).toISOString() : "",
+    ]),
+  ];
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  for (const row of rows) {
+    console.log(
+      row.map((cell, column) => cell.padEnd(widths[column])).join(" | "),
+    );
+  }
+};
+
+const commands = {
+  migrate: async () => {
+    const applied = await migrate();
+    console.log(
+      applied.length > 0
+        ? `Applied migrations: ${applied.join(", ")}`
+        : "The schema is up to date.",
+    );
+    return 0;
+  },
+  info: async () => {
+    const entries = await info();
+    printInfo(entries);
+    for (const problem of entries.flatMap((entry) => entry.problems)) {
+      console.log(`Warning: ${problem}`);
+    }
+    return 0;
+  },
+  validate: async () => {
+    const { valid, problems } = await validate();
+    if (valid) {
+      console.log("Successfully validated the migrations.");
+      return 0;
+    }
+    problems.forEach((problem) => console.error(problem));
+    return 1;
+  },
+};
+
+const command = commands[Deno.args[0]];
+if (!command) {
+  console.error(`Usage: migrate.js <${Object.keys(commands).join("|")}>`);
+  Deno.exit(2);
+}
+
+let status;
+try {
+  await database.connect({ retries: 10 });
+  status = await command();
+} catch (error) {
+  if (!(error instanceof ConfigError || error instanceof MigrationError)) {
+    throw error;
+  }
+  console.error(error.message);
+  status = 1;
+} finally {
+  await database.close();
+}
+Deno.exit(status);
@@ -0,0 +1,25 @@
+// Tells the user when the address book has been changed elsewhere, e.g. in
+// another tab, so that the page can be reloaded. Changes already shown on
+// the page, such as an entry the user just added, are not reported.
+const notice = document.getElementById("changes");
+const shown = (id) =>
+  document.querySelector(`[data-address-id="${id}"]`) !== null;
+
+const source = new EventSource("/events");
+const report = () => {
+  notice.hidden = false;
+  source.close();
+};
+
+source.addEventListener("addresses.created", (event) => {
+  if (!shown(JSON.parse(event.data).id)) {
+    report();
+  }
+});
+source.addEventListener("addresses.updated", report);
+source.addEventListener("addresses.deleted", (event) => {
+  if (shown(JSON.parse(event.data).id)) {
+    report();
+  }
+});
+source.addEventListener("reset", report);
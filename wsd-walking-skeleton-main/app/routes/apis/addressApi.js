@@ -0,0 +1,75 @@
+import * as addressService from "../../services/addressService.js";
+import { json, jsonError, parseId, readJsonObject } from "../../utils/http.js";
+import { listJson, parseListQuery } from "../../utils/listing.js";
+import {
+  isString,
+  maxLength,
+  required,
+  validate,
+} from "../../utils/validation.js";
+
+// The address book of the user of the API key, as JSON.
+
+const addressSchema = {
+  name: [required(), isString(), maxLength(200)],
+  address: [required(), isString(), maxLength(500)],
+};
+
+const listAddresses = async ({ db, url, user }) => {
+  const { options, errors } = parseListQuery(url.searchParams, {
+    sortable: addressService.SORTABLE,
+    defaultSort: "name",
+  });
+  if (errors.length > 0) {
+    return jsonError(400, errors.join("; "));
+  }
+
+  return listJson(
+    url,
+    options,
+    await addressService.list(user.id, options, db),
+  );
+};
+
+const getAddress = async ({ db, params, user }) => {
+  const id = parseId(params.id);
+  const address = id && await addressService.findById(user.id, id, db);
+  if (!address) {
+    return jsonError(404, "Address not found");
+  }
+  return json(address);
+};
+
+const addAddress = async ({ db, request, url, user }) => {
+  const body = await readJsonObject(request);
+  if (!body) {
+    return jsonError(400, "Request body must be a JSON object");
+  }
+
+  const { valid, values, errors } = validate(body, addressSchema);
+  if (!valid) {
+    return jsonError(400, "Validation failed", { errors });
+  }
+
+  const address = await addressService.create(
+    user.id,
+    values.name,
+    values.address,
+    db,
+  );
+  return json(address, {
+    status: 201,
+    headers: { "Location": `${url.pathname}/${address.id}` },
+  });
+};
+
+const deleteAddress = async ({ db, params, user }) => {
+  const id = parseId(params.id);
+  const address = id && await addressService.remove(user.id, id, db);
+  if (!address) {
+    return jsonError(404, "Address not found");
+  }
+  return new Response(null, { status: 204 });
+};
+
+export { addAddress, deleteAddress, getAddress, listAddresses };
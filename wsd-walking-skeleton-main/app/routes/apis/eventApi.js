@@ -0,0 +1,136 @@
+import * as eventService from "../../services/eventService.js";
+import { parseId } from "../../utils/http.js";
+
+const HEARTBEAT_MS = 15_000;
+const RECONNECT_MS = 3000;
+// Clients that missed more events than this get a reset event instead,
+// after which they should reload everything.
+const MAX_REPLAY = 1000;
+
+const encoder = new TextEncoder();
+
+// Names are public, addresses are only streamed to their owner.
+const visibleTo = (user) => (event) =>
+  event.table === "names" ||
+  (event.table === "addresses" && user !== null && event.userId === user.id);
+
+const formatEvent = ({ id, table, action, rowId, data }) =>
+  `id: ${id}\nevent: ${table}.${action}\ndata: ${
+    JSON.stringify({ table, action, id: rowId, item: data })
+  }\n\n`;
+
+// The id of the last event the client received, sent by EventSource when it
+// reconnects. ?lastEventId= does the same for the first connection.
+const readLastEventId = ({ request, url }) => {
+  const value = request.headers.get("Last-Event-ID") ??
+    url.searchParams.get("lastEventId");
+  return value === null ? undefined : parseId(value.trim()) ?? 0;
+};
+
+// Streams the changes to names (and to the addresses of the logged in user)
+// as Server-Sent Events, e.g. `event: names.created` with the new row as
+// JSON. A comment is sent every HEARTBEAT_MS so that proxies keep the
+// connection open. Clients that reconnect with Last-Event-ID first get the
+// events they missed.
+const streamEvents = async (context) => {
+  const headers = {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-store",
+    // Keeps nginx and similar proxies from buffering the stream.
+    "X-Accel-Buffering": "no",
+  };
+  // The body of a HEAD response is never read, so the stream would not end.
+  if (context.request.method === "HEAD") {
+    return new Response(null, { headers });
+  }
+
+  const visible = visibleTo(context.user ?? null);
+  const lastEventId = readLastEventId(context);
+
+  let send;
+  let end;
+  const queued = [];
+  const subscription = await eventService.subscribe((event) => {
+    if (!visible(event)) {
+      return;
+    }
+    if (send) {
+      send(event);
+    } else {
+      queued.push(event);
+    }
+  }, { onClose: () => end() });
+
+  let heartbeat;
+  const stop = () => {
+    clearInterval(heartbeat);
+    subscription.unsubscribe();
+  };
+
+  const body = new ReadableStream({
+    async start(controller) {
+      // Ends the stream when the app shuts down.
+      let ended = false;
+      end = () => {
+        ended = true;
+        clearInterval(heartbeat);
+        try {
+          controller.close();
+        } catch {
+          // The client has already gone away.
+        }
+      };
+      const write = (text) => {
+        if (!ended) {
+          controller.enqueue(encoder.encode(text));
+        }
+      };
+      write(`retry: ${RECONNECT_MS}\n\n`);
+
+      // Events can be delivered both by the replay and by the subscription,
+      // so the replayed ones are remembered and skipped later.
+      const replayed = new Set();
+      if (lastEventId !== undefined && lastEventId < subscription.lastId) {
+        try {
+          const missed = (await eventService.listAfter(
+            lastEventId,
+            MAX_REPLAY + 1,
+            context.db,
+          )).filter((event) => event.id <= subscription.lastId);
+          if (missed.length > MAX_REPLAY) {
+            write(`event: reset\ndata: {}\n\n`);
+          } else {
+            for (const event of missed) {
+              replayed.add(event.id);
+              if (visible(event)) {
+                write(formatEvent(event));
+              }
+            }
+          }
+        } catch (error) {
+          stop();
+          controller.error(error);
+          return;
+        }
+      }
+
+      send = (event) => {
+        if (!replayed.has(event.id)) {
+          write(formatEvent(event));
+        }
+      };
+      queued.splice(0).forEach(send);
+
+      if (!ended) {
+        heartbeat = setInterval(() => write(": heartbeat\n\n"), HEARTBEAT_MS);
+      }
+    },
+    cancel() {
+      stop();
+    },
+  });
+
+  return new Response(body, { headers });
+};
+
+export { streamEvents };
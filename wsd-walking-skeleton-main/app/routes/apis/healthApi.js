@@ -0,0 +1,18 @@
+import * as healthService from "../../services/healthService.js";
+import { json } from "../../utils/http.js";
+
+const noStore = { "Cache-Control": "no-store" };
+
+const getHealth = () => {
+  return json(healthService.liveness(), { headers: noStore });
+};
+
+const getReadiness = async ({ db, log }) => {
+  const readiness = await healthService.readiness(db, log);
+  return json(readiness, {
+    status: readiness.status === "ok" ? 200 : 503,
+    headers: noStore,
+  });
+};
+
+export { getHealth, getReadiness };
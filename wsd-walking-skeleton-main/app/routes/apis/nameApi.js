@@ -0,0 +1,192 @@
+import * as nameService from "../../services/nameService.js";
+import { json, jsonError, parseId, readJsonObject } from "../../utils/http.js";
+import { listJson, parseListQuery } from "../../utils/listing.js";
+import {
+  isString,
+  maxLength,
+  required,
+  validate,
+} from "../../utils/validation.js";
+
+const nameSchema = {
+  name: [required(), isString(), maxLength(200)],
+};
+
+const validationError = (errors) =>
+  jsonError(400, "Validation failed", { errors });
+
+const listNames = async ({ db, url }) => {
+  const { options, errors } = parseListQuery(url.searchParams, {
+    sortable: nameService.SORTABLE,
+  });
+  if (errors.length > 0) {
+    return jsonError(400, errors.join("; "));
+  }
+
+  return listJson(url, options, await nameService.list(options, db));
+};
+
+const getName = async ({ db, params }) => {
+  const id = parseId(params.id);
+  const name = id && await nameService.findById(id, db);
+  if (!name) {
+    return jsonError(404, "Name not found");
+  }
+  return json(name);
+};
+
+const addName = async ({ db, request, url }) => {
+  const body = await readJsonObject(request);
+  if (!body) {
+    return jsonError(400, "Request body must be a JSON object");
+  }
+
+  const { valid, values, errors } = validate(body, nameSchema);
+  if (!valid) {
+    return validationError(errors);
+  }
+
+  const name = await nameService.create(values.name, db);
+  return json(name, {
+    status: 201,
+    headers: { "Location": `${url.pathname}/${name.id}` },
+  });
+};
+
+const updateName = async ({ db, request, params }) => {
+  const id = parseId(params.id);
+  if (!id) {
+    return jsonError(404, "Name not found");
+  }
+
+  const body = await readJsonObject(request);
+  if (!body) {
+    return jsonError(400, "Request body must be a JSON object");
+  }
+
+  // PUT replaces the whole resource, PATCH only the fields that are given.
+  const partial = request.method === "PATCH";
+  const { valid, values, errors } = validate(body, nameSchema, { partial });
+  if (!valid) {
+    return validationError(errors);
+  }
+  if (!("name" in values)) {
+    const name = await nameService.findById(id, db);
+    return name ? json(name) : jsonError(404, "Name not found");
+  }
+
+  const name = await nameService.update(id, values.name, db);
+  if (!name) {
+    return jsonError(404, "Name not found");
+  }
+  return json(name);
+};
+
+const deleteName = async ({ db, params }) => {
+  const id = parseId(params.id);
+  const name = id && await nameService.remove(id, db);
+  if (!name) {
+    return jsonError(404, "Name not found");
+  }
+  return new Response(null, { status: 204 });
+};
+
+const MAX_BATCH_SIZE = 100;
+const OPERATIONS = ["create", "update", "delete"];
+
+const SUCCESS_STATUSES = { create: 201, update: 200, delete: 204 };
+
+// Checks one operation of a batch. Resolves to { operation } or { errors }.
+const readOperation = (item) => {
+  if (typeof item !== "object" || item === null || Array.isArray(item)) {
+    return { errors: { operation: ["Each operation must be a JSON object."] } };
+  }
+
+  const errors = {};
+  const operation = { op: item.op };
+  if (!OPERATIONS.includes(item.op)) {
+    errors.op = [`Must be one of ${OPERATIONS.join(", ")}.`];
+  }
+  if (item.op !== "create") {
+    operation.id = Number.isInteger(item.id) ? parseId(String(item.id)) : null;
+    if (!operation.id) {
+      errors.id = ["Must be a positive integer."];
+    }
+  }
+  if (item.op !== "delete") {
+    const { valid, values, errors: nameErrors } = validate(
+      { name: item.name },
+      nameSchema,
+    );
+    if (valid) {
+      operation.name = values.name;
+    } else {
+      Object.assign(errors, nameErrors);
+    }
+  }
+  return Object.keys(errors).length > 0 ? { errors } : { operation };
+};
+
+const notRun = (message) => ({ status: 424, error: message });
+
+// Runs { "operations": [...] } of create, update and delete operations in one
+// transaction, in the order given. Either all of them succeed, or nothing is
+// changed and each operation reports why it failed or that it was not run.
+const batchNames = async ({ db, request }) => {
+  const body = await readJsonObject(request);
+  if (!body || !Array.isArray(body.operations)) {
+    return jsonError(400, 'Request body must be { "operations": [...] }');
+  }
+  if (body.operations.length === 0) {
+    return jsonError(400, "The batch has no operations");
+  }
+  if (body.operations.length > MAX_BATCH_SIZE) {
+    return jsonError(
+      413,
+      `A batch can have at most ${MAX_BATCH_SIZE} operations`,
+    );
+  }
+
+  const checked = body.operations.map((item) => ({
+    errors: {},
+    ...readOperation(item),
+  }));
+  if (checked.some(({ errors }) => Object.keys(errors).length > 0)) {
+    return jsonError(400, "Validation failed; nothing was changed", {
+      results: checked.map(({ errors }) =>
+        Object.keys(errors).length > 0
+          ? { status: 400, errors }
+          : notRun("Not run, as other operations are invalid")
+      ),
+    });
+  }
+
+  const operations = checked.map(({ operation }) => operation);
+  const { ok, results } = await nameService.runBatch(operations, db);
+  if (!ok) {
+    // The operation that failed is the last one that was run.
+    const failed = results.length - 1;
+    return jsonError(422, "The batch failed; nothing was changed", {
+      results: operations.map((_, index) => {
+        if (index === failed) {
+          return { status: 404, error: "Name not found" };
+        }
+        return notRun(
+          index < failed
+            ? "Rolled back, as a later operation failed"
+            : "Not run, as an earlier operation failed",
+        );
+      }),
+    });
+  }
+
+  return json({
+    results: operations.map(({ op }, index) =>
+      op === "delete"
+        ? { status: SUCCESS_STATUSES[op] }
+        : { status: SUCCESS_STATUSES[op], item: results[index] }
+    ),
+  });
+};
+
+export { addName, batchNames, deleteName, getName, listNames, updateName };
@@ -0,0 +1,334 @@
+import { json } from "../../utils/http.js";
+
+// The OpenAPI 3 description of /api/v1/, served at /api/v1/openapi.json.
+// Keep it in sync with the /api/v1/ routes in routes.js.
+
+const errorResponse = (description) => ({
+  description,
+  content: {
+    "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+  },
+});
+
+const jsonResponse = (description, schema, headers) => ({
+  description,
+  ...(headers ? { headers } : {}),
+  content: { "application/json": { schema } },
+});
+
+const jsonBody = (schema) => ({
+  required: true,
+  content: { "application/json": { schema } },
+});
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const idParameter = {
+  name: "id",
+  in: "path",
+  required: true,
+  schema: { type: "integer", minimum: 1 },
+};
+
+const listParameters = (sortable) => [
+  {
+    name: "q",
+    in: "query",
+    description: "Only include entries containing this text.",
+    schema: { type: "string" },
+  },
+  { name: "sort", in: "query", schema: { type: "string", enum: sortable } },
+  {
+    name: "order",
+    in: "query",
+    schema: { type: "string", enum: ["asc", "desc"] },
+  },
+  { name: "page", in: "query", schema: { type: "integer", minimum: 1 } },
+  {
+    name: "pageSize",
+    in: "query",
+    schema: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+  },
+  {
+    name: "after",
+    in: "query",
+    description:
+      "Cursor-based pagination: only include entries after this id. Requires sort=id.",
+    schema: { type: "integer", minimum: 1 },
+  },
+];
+
+const listSchema = (item) => ({
+  type: "object",
+  required: ["items", "total", "page", "pageSize", "nextCursor"],
+  properties: {
+    items: { type: "array", items: ref(item) },
+    total: { type: "integer" },
+    page: { type: "integer", nullable: true },
+    pageSize: { type: "integer" },
+    nextCursor: { type: "integer", nullable: true },
+  },
+});
+
+const location = {
+  Location: {
+    description: "The URL of the created resource.",
+    schema: { type: "string" },
+  },
+};
+
+const common = {
+  401: errorResponse("The API key is missing, invalid or revoked."),
+  429: errorResponse("Too many requests; see the Retry-After header."),
+};
+
+const notFound = errorResponse("No such resource.");
+const invalid = errorResponse(
+  "The request is invalid. `errors` lists the problems of each field.",
+);
+
+const resourcePaths = ({ path, item, input, patchInput, sortable, tag }) => ({
+  [path]: {
+    get: {
+      tags: [tag],
+      summary: `List ${tag}`,
+      parameters: listParameters(sortable),
+      responses: {
+        200: jsonResponse("A page of entries.", listSchema(item)),
+        400: invalid,
+        ...common,
+      },
+    },
+    post: {
+      tags: [tag],
+      summary: `Add to ${tag}`,
+      requestBody: jsonBody(ref(input)),
+      responses: {
+        201: jsonResponse("The created entry.", ref(item), location),
+        400: invalid,
+        ...common,
+      },
+    },
+  },
+  [`${path}/{id}`]: {
+    parameters: [idParameter],
+    get: {
+      tags: [tag],
+      summary: "Get an entry",
+      responses: {
+        200: jsonResponse("The entry.", ref(item)),
+        404: notFound,
+        ...common,
+      },
+    },
+    ...(patchInput
+      ? {
+        put: {
+          tags: [tag],
+          summary: "Replace an entry",
+          requestBody: jsonBody(ref(input)),
+          responses: {
+            200: jsonResponse("The updated entry.", ref(item)),
+            400: invalid,
+            404: notFound,
+            ...common,
+          },
+        },
+        patch: {
+          tags: [tag],
+          summary: "Change some fields of an entry",
+          requestBody: jsonBody(ref(patchInput)),
+          responses: {
+            200: jsonResponse("The updated entry.", ref(item)),
+            400: invalid,
+            404: notFound,
+            ...common,
+          },
+        },
+      }
+      : {}),
+    delete: {
+      tags: [tag],
+      summary: "Delete an entry",
+      responses: {
+        204: { description: "The entry was deleted." },
+        404: notFound,
+        ...common,
+      },
+    },
+  },
+});
+
+const document = {
+  openapi: "3.0.3",
+  info: {
+    title: "Walking skeleton API",
+    version: "1.0.0",
+    description:
+      "The names and the address book for scripts. Create an API key at /settings/api-keys and send it in the Authorization header as `Bearer <key>`.",
+  },
+  servers: [{ url: "/api/v1" }],
+  security: [{ apiKey: [] }],
+  paths: {
+    ...resourcePaths({
+      path: "/names",
+      item: "Name",
+      input: "NameInput",
+      patchInput: "NamePatch",
+      sortable: ["id", "name"],
+      tag: "names",
+    }),
+    ...resourcePaths({
+      path: "/addresses",
+      item: "Address",
+      input: "AddressInput",
+      sortable: ["id", "name", "address"],
+      tag: "addresses",
+    }),
+    "/names/batch": {
+      post: {
+        tags: ["names"],
+        summary: "Create, update and delete names in one transaction",
+        description:
+          "Either every operation succeeds, or nothing is changed. The operations run in the order given.",
+        requestBody: jsonBody(ref("Batch")),
+        responses: {
+          200: jsonResponse(
+            "The result of each operation.",
+            ref("BatchResults"),
+          ),
+          400: invalid,
+          413: errorResponse("The batch has more than 100 operations."),
+          422: errorResponse(
+            "An operation failed, so the batch was rolled back. `results` tells which.",
+          ),
+          ...common,
+        },
+      },
+    },
+    "/openapi.json": {
+      get: {
+        summary: "This document",
+        security: [],
+        responses: {
+          200: { description: "The OpenAPI document." },
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      apiKey: { type: "http", scheme: "bearer" },
+    },
+    schemas: {
+      Name: {
+        type: "object",
+        required: ["id", "name"],
+        properties: {
+          id: { type: "integer" },
+          name: { type: "string" },
+        },
+      },
+      NameInput: {
+        type: "object",
+        required: ["name"],
+        properties: { name: { type: "string", minLength: 1, maxLength: 200 } },
+      },
+      NamePatch: {
+        type: "object",
+        properties: { name: { type: "string", minLength: 1, maxLength: 200 } },
+      },
+      Batch: {
+        type: "object",
+        required: ["operations"],
+        properties: {
+          operations: {
+            type: "array",
+            minItems: 1,
+            maxItems: 100,
+            items: {
+              type: "object",
+              required: ["op"],
+              properties: {
+                op: { type: "string", enum: ["create", "update", "delete"] },
+                id: {
+                  type: "integer",
+                  minimum: 1,
+                  description: "Required for update and delete.",
+                },
+                name: {
+                  type: "string",
+                  minLength: 1,
+                  maxLength: 200,
+                  description: "Required for create and update.",
+                },
+              },
+            },
+          },
+        },
+      },
+      BatchResults: {
+        type: "object",
+        required: ["results"],
+        properties: {
+          results: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["status"],
+              properties: {
+                status: { type: "integer", enum: [200, 201, 204] },
+                item: ref("Name"),
+              },
+            },
+          },
+        },
+      },
+      Address: {
+        type: "object",
+        required: ["id", "name", "address"],
+        properties: {
+          id: { type: "integer" },
+          name: { type: "string" },
+          address: { type: "string" },
+        },
+      },
+      AddressInput: {
+        type: "object",
+        required: ["name", "address"],
+        properties: {
+          name: { type: "string", minLength: 1, maxLength: 200 },
+          address: { type: "string", minLength: 1, maxLength: 500 },
+        },
+      },
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: {
+          error: {
+            type: "object",
+            required: ["status", "message"],
+            properties: {
+              status: { type: "integer" },
+              message: { type: "string" },
+              errors: {
+                type: "object",
+                description: "The problems of each invalid field.",
+                additionalProperties: {
+                  type: "array",
+                  items: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const getOpenApi = () => {
+  return json(document, { headers: { "Cache-Control": "no-cache" } });
+};
+
+export { document, getOpenApi };
@@ -0,0 +1,87 @@
+import * as addressService from "../../services/addressService.js";
+import {
+  jsonError,
+  parseId,
+  prefersJson,
+  readBody,
+  redirect,
+} from "../../utils/http.js";
+import { listJson, listView, parseListQuery } from "../../utils/listing.js";
+import { render } from "../../utils/render.js";
+import {
+  isString,
+  maxLength,
+  required,
+  validate,
+} from "../../utils/validation.js";
+
+const addressSchema = {
+  name: [required(), isString(), maxLength(200)],
+  address: [required(), isString(), maxLength(500)],
+};
+
+const renderAddresses = async (context, data = {}, init = {}) => {
+  const { db, url, user } = context;
+  const { options } = parseListQuery(url.searchParams, {
+    sortable: addressService.SORTABLE,
+    defaultSort: "name",
+  });
+  const result = await addressService.list(user.id, options, db);
+
+  return await render(context, "addresses.eta", {
+    addresses: result.rows,
+    listing: listView(url, options, result),
+    values: { name: "", address: "" },
+    errors: {},
+    ...data,
+  }, init);
+};
+
+const listAddresses = async (context) => {
+  const { db, request, url, user } = context;
+  if (prefersJson(request)) {
+    const { options, errors } = parseListQuery(url.searchParams, {
+      sortable: addressService.SORTABLE,
+      defaultSort: "name",
+    });
+    if (errors.length > 0) {
+      return jsonError(400, errors.join("; "));
+    }
+    return listJson(
+      url,
+      options,
+      await addressService.list(user.id, options, db),
+    );
+  }
+
+  return await renderAddresses(context);
+};
+
+const addAddress = async (context) => {
+  const { db, request, user } = context;
+  const { valid, values, errors } = validate(
+    await readBody(request) ?? {},
+    addressSchema,
+  );
+  if (!valid) {
+    return await renderAddresses(context, { values, errors }, {
+      status: 400,
+    });
+  }
+
+  await addressService.create(user.id, values.name, values.address, db);
+  return redirect("/addresses");
+};
+
+// Addresses of other users are reported as missing, so that their existence
+// is not revealed.
+const deleteAddress = async ({ db, params, user }) => {
+  const id = parseId(params.id);
+  const address = id && await addressService.remove(user.id, id, db);
+  if (!address) {
+    return new Response("Not Found", { status: 404 });
+  }
+  return redirect("/addresses");
+};
+
+export { addAddress, addressSchema, deleteAddress, listAddresses };
@@ -0,0 +1,226 @@
+import * as addressService from "../../services/addressService.js";
+import { CsvError, formatRecord, parseCsv } from "../../utils/csv.js";
+import { redirect } from "../../utils/http.js";
+import { render } from "../../utils/render.js";
+import { validate } from "../../utils/validation.js";
+import { addressSchema } from "./addressController.js";
+
+const EXPORT_BATCH_SIZE = 500;
+const MAX_IMPORT_BYTES = 1024 * 1024;
+const MAX_IMPORT_ROWS = 5000;
+// Rows shown in the preview besides the invalid ones.
+const PREVIEW_VALID_ROWS = 10;
+const MAX_PREVIEW_ROWS = 100;
+
+const FIELDS = ["name", "address"];
+// Header names recognized when the columns have not been chosen yet.
+const KNOWN_HEADERS = {
+  name: ["name", "full name", "nimi"],
+  address: ["address", "street address", "osoite"],
+};
+
+const encoder = new TextEncoder();
+
+// Streams the address book of the user as CSV, reading it from the database
+// in batches as the client consumes the response.
+const exportAddresses = ({ db, user }) => {
+  let afterId = 0;
+  let headerSent = false;
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      if (!headerSent) {
+        headerSent = true;
+        controller.enqueue(encoder.encode(formatRecord(FIELDS)));
+        return;
+      }
+
+      const rows = await addressService.listAfter(
+        user.id,
+        afterId,
+        EXPORT_BATCH_SIZE,
+        db,
+      );
+      if (rows.length === 0) {
+        controller.close();
+        return;
+      }
+      afterId = rows[rows.length - 1].id;
+      controller.enqueue(encoder.encode(
+        rows.map((row) => formatRecord([row.name, row.address])).join(""),
+      ));
+    },
+  });
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8; header=present",
+      "Content-Disposition": 'attachment; filename="addresses.csv"',
+      "Cache-Control": "no-store",
+    },
+  });
+};
+
+const renderImport = async (context, data = {}, init = {}) => {
+  return await render(context, "addressImport.eta", {
+    errors: [],
+    preview: null,
+    ...data,
+  }, init);
+};
+
+const showImportForm = async (context) => {
+  return await renderImport(context);
+};
+
+const guessColumn = (headers, field) =>
+  headers.findIndex((header) =>
+    KNOWN_HEADERS[field].includes(header.trim().toLowerCase())
+  );
+
+// The column chosen for each field, or the guessed one on the first
+// preview (-1 when there is no guess), and a problem with the choice if any.
+const chooseColumns = (formData, headers) => {
+  const columns = {};
+  for (const field of FIELDS) {
+    const chosen = formData.get(`${field}Column`);
+    columns[field] = typeof chosen === "string" && /^\d+$/.test(chosen)
+      ? Number(chosen)
+      : guessColumn(headers, field);
+  }
+
+  const missing = FIELDS.find((field) =>
+    columns[field] < 0 || columns[field] >= headers.length
+  );
+  if (missing) {
+    return {
+      columns,
+      error: `Choose the column that contains the ${missing}.`,
+    };
+  }
+  if (columns.name === columns.address) {
+    return {
+      columns,
+      error: "The name and the address must be in different columns.",
+    };
+  }
+  return { columns };
+};
+
+const readUpload = async (formData) => {
+  const file = formData.get("file");
+  if (file instanceof Blob && file.size > 0) {
+    if (file.size > MAX_IMPORT_BYTES) {
+      return { error: "The file is too large." };
+    }
+    return { text: await file.text() };
+  }
+
+  const text = formData.get("csv");
+  if (typeof text === "string" && text.length > 0) {
+    // Counted in bytes, like the size of a file.
+    return encoder.encode(text).length > MAX_IMPORT_BYTES
+      ? { error: "The file is too large." }
+      : { text };
+  }
+  return { error: "Choose a CSV file to import." };
+};
+
+// Builds the rows to import, numbered by their record in the file (the
+// header being record 1). Empty records are skipped.
+const importRows = (records, columns) =>
+  records.slice(1)
+    .map((record, index) => ({ number: index + 2, record }))
+    .filter(({ record }) => record.some((value) => value.trim() !== ""))
+    .map(({ number, record }) => {
+      const data = {};
+      for (const field of FIELDS) {
+        data[field] = record[columns[field]] ?? "";
+      }
+      const { valid, values, errors } = validate(data, addressSchema);
+      return { number, valid, values: valid ? values : data, errors };
+    });
+
+const previewRows = (rows) => {
+  let validShown = 0;
+  return rows
+    .filter((row) => !row.valid || validShown++ < PREVIEW_VALID_ROWS)
+    .slice(0, MAX_PREVIEW_ROWS);
+};
+
+// Imports a CSV file in two steps. The uploaded file is first shown as a
+// preview, in which the columns can be chosen and invalid rows are listed;
+// the page carries the file along in a hidden field. Submitting the preview
+// with mode=import then adds all rows at once, or none if any are invalid.
+const importAddresses = async (context) => {
+  const { db, request, user } = context;
+  const fail = async (error, status = 400) =>
+    await renderImport(context, { errors: [error] }, { status });
+
+  let formData;
+  try {
+    formData = await request.formData();
+  } catch {
+    return await fail("The upload could not be read.");
+  }
+
+  const upload = await readUpload(formData);
+  if (upload.error) {
+    return await fail(upload.error);
+  }
+
+  let records;
+  try {
+    records = parseCsv(upload.text);
+  } catch (error) {
+    if (!(error instanceof CsvError)) {
+      throw error;
+    }
+    return await fail(`The file is not valid CSV. ${error.message}.`);
+  }
+  if (records.length === 0) {
+    return await fail("The file is empty.");
+  }
+
+  const headers = records[0];
+  const { columns, error } = chooseColumns(formData, headers);
+  const rows = error ? [] : importRows(records, columns);
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return await fail(
+      `The file has ${rows.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once.`,
+    );
+  }
+
+  const invalid = rows.filter((row) => !row.valid);
+  const importing = formData.get("mode") === "import";
+  if (importing && !error && invalid.length === 0 && rows.length > 0) {
+    await addressService.createMany(
+      user.id,
+      rows.map((row) => row.values),
+      db,
+    );
+    return redirect("/addresses");
+  }
+
+  const errors = error ? [error] : [];
+  if (importing && rows.length === 0 && !error) {
+    errors.push("The file has no rows to import.");
+  }
+  if (importing && invalid.length > 0) {
+    errors.push("Nothing was imported. Fix the invalid rows and try again.");
+  }
+
+  return await renderImport(context, {
+    errors,
+    preview: {
+      csv: upload.text,
+      headers,
+      columns,
+      total: rows.length,
+      invalid: invalid.length,
+      rows: previewRows(rows),
+    },
+  }, { status: importing ? 400 : 200 });
+};
+
+export { exportAddresses, importAddresses, showImportForm };
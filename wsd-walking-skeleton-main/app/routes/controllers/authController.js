@@ -0,0 +1,103 @@
+import { bcrypt } from "../../deps.js";
+import * as userService from "../../services/userService.js";
+import { readBody, redirect } from "../../utils/http.js";
+import { render } from "../../utils/render.js";
+import {
+  isEmail,
+  maxBytes,
+  maxLength,
+  minLength,
+  required,
+  validate,
+} from "../../utils/validation.js";
+
+// bcrypt only uses the first 72 bytes of a password.
+const registrationSchema = {
+  email: [required(), isEmail(), maxLength(254)],
+  password: [required(), minLength(8), maxBytes(72)],
+};
+
+let dummyHash;
+
+// Only local paths are followed after logging in, so that the login form
+// cannot be used to send users to another site.
+const safeNext = (next) =>
+  typeof next === "string" && next.startsWith("/") && !next.startsWith("//") &&
+    !next.startsWith("/\\")
+    ? next
+    : "/";
+
+const readCredentials = async (request) => {
+  const body = await readBody(request) ?? {};
+  return {
+    email: String(body.email ?? "").trim().toLowerCase(),
+    password: String(body.password ?? ""),
+    next: safeNext(body.next),
+  };
+};
+
+const showLoginForm = async (context) => {
+  return await render(context, "auth/login.eta", {
+    email: "",
+    next: safeNext(context.url.searchParams.get("next")),
+    errors: [],
+  });
+};
+
+const login = async (context) => {
+  const { db, request, session } = context;
+  const { email, password, next } = await readCredentials(request);
+  const user = await userService.findByEmail(email, db);
+
+  // Compare against a throwaway hash when there is no such user, so that the
+  // response time does not reveal which emails are registered.
+  if (!user) {
+    dummyHash ??= await bcrypt.hash("not a password");
+  }
+  const matches = await bcrypt.compare(password, user?.password ?? dummyHash);
+
+  if (!user || !matches) {
+    return await render(context, "auth/login.eta", {
+      email,
+      next,
+      errors: ["Invalid email or password."],
+    }, { status: 401 });
+  }
+
+  session.setUser(user.id);
+  return redirect(next);
+};
+
+const showRegistrationForm = async (context) => {
+  return await render(context, "auth/register.eta", { email: "", errors: {} });
+};
+
+const register = async (context) => {
+  const { db, request, session } = context;
+  const { email, password } = await readCredentials(request);
+
+  const { valid, errors } = validate({ email, password }, registrationSchema);
+  if (valid && await userService.findByEmail(email, db)) {
+    errors.email = ["The email address is already registered."];
+  }
+  if (Object.keys(errors).length > 0) {
+    return await render(context, "auth/register.eta", { email, errors }, {
+      status: 400,
+    });
+  }
+
+  const user = await userService.create(
+    email,
+    await bcrypt.hash(password),
+    db,
+  );
+  session.setUser(user.id);
+  return redirect("/");
+};
+
+const logout = ({ session }) => {
+  session.destroy();
+  return redirect("/auth/login");
+};
+
+export { login, logout, register, showLoginForm, showRegistrationForm };
@@ -0,0 +1,5 @@
+const showMain = () => {
+  return new Response("Hello world!");
+};
+
+export { showMain };
@@ -0,0 +1,52 @@
+import * as apiKeyService from "../../services/apiKeyService.js";
+import { parseId, readBody, redirect } from "../../utils/http.js";
+import { render } from "../../utils/render.js";
+import { maxLength, required, validate } from "../../utils/validation.js";
+
+const apiKeySchema = {
+  name: [required(), maxLength(100)],
+};
+
+const renderApiKeys = async (context, data = {}, init = {}) => {
+  return await render(context, "settings/apiKeys.eta", {
+    apiKeys: await apiKeyService.list(context.user.id, context.db),
+    newKey: null,
+    values: { name: "" },
+    errors: {},
+    ...data,
+  }, init);
+};
+
+const showApiKeys = async (context) => {
+  return await renderApiKeys(context);
+};
+
+// The new key is shown on the page that the form returns, as it cannot be
+// shown again later.
+const createApiKey = async (context) => {
+  const { db, request, user } = context;
+  const { valid, values, errors } = validate(
+    await readBody(request) ?? {},
+    apiKeySchema,
+  );
+  if (!valid) {
+    return await renderApiKeys(context, { values, errors }, { status: 400 });
+  }
+
+  const apiKey = await apiKeyService.create(user.id, values.name, db);
+  return await renderApiKeys(context, { newKey: apiKey }, {
+    status: 201,
+    headers: { "Cache-Control": "no-store" },
+  });
+};
+
+const revokeApiKey = async ({ db, params, user }) => {
+  const id = parseId(params.id);
+  const revoked = id && await apiKeyService.revoke(user.id, id, db);
+  if (!revoked) {
+    return new Response("Not Found", { status: 404 });
+  }
+  return redirect("/settings/api-keys");
+};
+
+export { createApiKey, revokeApiKey, showApiKeys };
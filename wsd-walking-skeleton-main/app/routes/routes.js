@@ -0,0 +1,141 @@
+import { requireApiKey, requireUser } from "../middlewares/authMiddleware.js";
+import { rateLimit } from "../middlewares/rateLimitMiddleware.js";
+import { createRouter } from "../utils/router.js";
+import * as authController from "./controllers/authController.js";
+import * as addressController from "./controllers/addressController.js";
+import * as addressCsvController from "./controllers/addressCsvController.js";
+import * as mainController from "./controllers/mainController.js";
+import * as settingsController from "./controllers/settingsController.js";
+import * as addressApi from "./apis/addressApi.js";
+import * as eventApi from "./apis/eventApi.js";
+import * as healthApi from "./apis/healthApi.js";
+import * as nameApi from "./apis/nameApi.js";
+import * as openApi from "./apis/openApi.js";
+
+// Login attempts are limited per IP address to slow down password guessing,
+// and writes per user (or IP address) to keep scripts from flooding the
+// tables.
+const loginLimit = rateLimit({
+  name: "login",
+  capacity: 5,
+  refillPerSecond: 5 / 60,
+});
+const registrationLimit = rateLimit({
+  name: "register",
+  capacity: 3,
+  refillPerSecond: 1 / 60,
+});
+const writeLimit = rateLimit({
+  name: "write",
+  capacity: 30,
+  refillPerSecond: 1,
+  key: "user",
+});
+
+const router = createRouter();
+
+router.get("/", mainController.showMain);
+
+router.get("/auth/login", authController.showLoginForm);
+router.post("/auth/login", loginLimit, authController.login);
+router.get("/auth/register", authController.showRegistrationForm);
+router.post("/auth/register", registrationLimit, authController.register);
+router.post("/auth/logout", authController.logout);
+
+router.get("/events", eventApi.streamEvents);
+
+router.get("/health", healthApi.getHealth);
+router.get("/ready", healthApi.getReadiness);
+
+router.get("/addresses", requireUser, addressController.listAddresses);
+router.post(
+  "/addresses",
+  requireUser,
+  writeLimit,
+  addressController.addAddress,
+);
+router.get(
+  "/addresses.csv",
+  requireUser,
+  addressCsvController.exportAddresses,
+);
+router.get(
+  "/addresses/import",
+  requireUser,
+  addressCsvController.showImportForm,
+);
+router.post(
+  "/addresses/import",
+  requireUser,
+  writeLimit,
+  addressCsvController.importAddresses,
+);
+router.post(
+  "/addresses/:id/delete",
+  requireUser,
+  writeLimit,
+  addressController.deleteAddress,
+);
+
+router.get("/settings/api-keys", requireUser, settingsController.showApiKeys);
+router.post(
+  "/settings/api-keys",
+  requireUser,
+  writeLimit,
+  settingsController.createApiKey,
+);
+router.post(
+  "/settings/api-keys/:id/revoke",
+  requireUser,
+  settingsController.revokeApiKey,
+);
+
+router.get("/names", nameApi.listNames);
+router.post("/names", writeLimit, nameApi.addName);
+router.post("/names/batch", writeLimit, nameApi.batchNames);
+router.get("/names/:id", nameApi.getName);
+router.put("/names/:id", writeLimit, nameApi.updateName);
+router.patch("/names/:id", writeLimit, nameApi.updateName);
+router.delete("/names/:id", writeLimit, nameApi.deleteName);
+
+// The API for scripts, which authenticate with an API key. It is described
+// by /api/v1/openapi.json.
+router.get("/api/v1/openapi.json", openApi.getOpenApi);
+router.get("/api/v1/names", requireApiKey, nameApi.listNames);
+router.post("/api/v1/names", requireApiKey, writeLimit, nameApi.addName);
+router.post(
+  "/api/v1/names/batch",
+  requireApiKey,
+  writeLimit,
+  nameApi.batchNames,
+);
+router.get("/api/v1/names/:id", requireApiKey, nameApi.getName);
+router.put("/api/v1/names/:id", requireApiKey, writeLimit, nameApi.updateName);
+router.patch(
+  "/api/v1/names/:id",
+  requireApiKey,
+  writeLimit,
+  nameApi.updateName,
+);
+router.delete(
+  "/api/v1/names/:id",
+  requireApiKey,
+  writeLimit,
+  nameApi.deleteName,
+);
+router.get("/api/v1/addresses", requireApiKey, addressApi.listAddresses);
+router.post(
+  "/api/v1/addresses",
+  requireApiKey,
+  writeLimit,
+  addressApi.addAddress,
+);
+router.get("/api/v1/addresses/:id", requireApiKey, addressApi.getAddress);
+router.delete(
+  "/api/v1/addresses/:id",
+  requireApiKey,
+  writeLimit,
+  addressApi.deleteAddress,
+);
+
+export { router };
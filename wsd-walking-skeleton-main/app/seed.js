@@ -0,0 +1,79 @@
+// Fills the database with fake data, or empties it:
+//
+//   deno run --allow-net --allow-read --allow-env seed.js seed [options]
+//   deno run --allow-net --allow-read --allow-env seed.js reset
+//
+// The options of seed are --users=<n>, --names=<n>, --addresses=<n>,
+// --seed=<n> and --reset, which empties the tables first.
+import { ConfigError } from "./config/config.js";
+import * as database from "./database/database.js";
+import { reset, seed, SEED_PASSWORD, SeedError } from "./database/seeds.js";
+
+const USAGE = "Usage: seed.js seed [--users=<n>] [--names=<n>] " +
+  "[--addresses=<n>] [--seed=<n>] [--reset]\n       seed.js reset";
+
+const COUNT_OPTIONS = ["users", "names", "addresses", "seed"];
+
+const parseOptions = (args) => {
+  const options = {};
+  for (const arg of args) {
+    const [, key, value] = arg.match(/^--([a-z]+)(?:=(.*))?$/) ?? [];
+    if (key === "reset" && value === undefined) {
+      options.reset = true;
+    } else if (COUNT_OPTIONS.includes(key) && /^\d+$/.test(value ?? "")) {
+      options[key] = Number(value);
+    } else {
+      return undefined;
+    }
+  }
+  return options;
+};
+
+const resetTables = async () => {
+  const tables = await reset();
+  console.log(`Emptied tables: ${tables.join(", ") || "none"}`);
+};
+
+const commands = {
+  seed: async (options) => {
+    if (options.reset) {
+      await resetTables();
+    }
+    const counts = await seed(options);
+    console.log(
+      `Added ${counts.users} users, ${counts.names} names and ` +
+        `${counts.addresses} addresses.`,
+    );
+    if (counts.users > 0) {
+      console.log(`The users can log in with the password ${SEED_PASSWORD}.`);
+    }
+  },
+  reset: async () => {
+    await resetTables();
+  },
+};
+
+const command = commands[Deno.args[0]];
+const options = parseOptions(Deno.args.slice(1));
+if (
+  !command || !options ||
+  (command === commands.reset && Object.keys(options).length > 0)
+) {
+  console.error(USAGE);
+  Deno.exit(2);
+}
+
+let status = 0;
+try {
+  await database.connect({ retries: 10 });
+  await command(options);
+} catch (error) {
+  if (!(error instanceof ConfigError || error instanceof SeedError)) {
+    throw error;
+  }
+  console.error(error.message);
+  status = 1;
+} finally {
+  await database.close();
+}
+Deno.exit(status);
@@ -0,0 +1,71 @@
+import { pool } from "../database/database.js";
+import { listRows } from "../database/listQuery.js";
+
+const SORTABLE = ["id", "name", "address"];
+
+// Every query is limited to the addresses of the given user, so that users
+// cannot see or change each other's entries.
+const list = async (userId, options, db = pool) => {
+  return await listRows(
+    "addresses",
+    { columns: ["id", "name", "address"], searchColumns: ["name", "address"] },
+    options,
+    { user_id: userId },
+    db,
+  );
+};
+
+const findById = async (userId, id, db = pool) => {
+  const result = await db.query(
+    "SELECT id, name, address FROM addresses WHERE id = $1 AND user_id = $2",
+    [id, userId],
+  );
+  return result.rows[0];
+};
+
+const create = async (userId, name, address, db = pool) => {
+  const result = await db.query(
+    `INSERT INTO addresses (user_id, name, address) VALUES ($1, $2, $3)
+      RETURNING id, name, address`,
+    [userId, name, address],
+  );
+  return result.rows[0];
+};
+
+// Up to `limit` addresses with an id greater than `afterId`, ordered by id,
+// for going through all addresses of a user in batches.
+const listAfter = async (userId, afterId, limit, db = pool) => {
+  const result = await db.query(
+    `SELECT id, name, address FROM addresses
+      WHERE user_id = $1 AND id > $2 ORDER BY id LIMIT $3`,
+    [userId, afterId, limit],
+  );
+  return result.rows;
+};
+
+// Adds all entries ({ name, address }) with a single statement, so that
+// either all or none of them are added. Resolves to the number of added
+// entries.
+const createMany = async (userId, entries, db = pool) => {
+  await db.query(
+    `INSERT INTO addresses (user_id, name, address)
+      SELECT $1, name, address FROM unnest($2::text[], $3::text[])
+        AS entries (name, address)`,
+    [
+      userId,
+      entries.map((entry) => entry.name),
+      entries.map((entry) => entry.address),
+    ],
+  );
+  return entries.length;
+};
+
+const remove = async (userId, id, db = pool) => {
+  const result = await db.query(
+    "DELETE FROM addresses WHERE id = $1 AND user_id = $2 RETURNING id, name, address",
+    [id, userId],
+  );
+  return result.rows[0];
+};
+
+export { create, createMany, findById, list, listAfter, remove, SORTABLE };
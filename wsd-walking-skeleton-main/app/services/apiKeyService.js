@@ -0,0 +1,55 @@
+import { pool } from "../database/database.js";
+import { randomToken, sha256 } from "../utils/crypto.js";
+
+const KEY_PREFIX = "wsd_";
+const DISPLAYED_LENGTH = KEY_PREFIX.length + 8;
+
+const list = async (userId, db = pool) => {
+  const result = await db.query(
+    `SELECT id, name, prefix, created_at, last_used_at, revoked_at
+      FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC, id DESC`,
+    [userId],
+  );
+  return result.rows;
+};
+
+// Resolves to the stored key together with `key`, the key itself, which
+// cannot be recovered later.
+const create = async (userId, name, db = pool) => {
+  const key = `${KEY_PREFIX}${randomToken()}`;
+  const result = await db.query(
+    `INSERT INTO api_keys (user_id, name, prefix, key_hash)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, name, prefix, created_at, last_used_at, revoked_at`,
+    [userId, name, key.slice(0, DISPLAYED_LENGTH), await sha256(key)],
+  );
+  return { ...result.rows[0], key };
+};
+
+const revoke = async (userId, id, db = pool) => {
+  const result = await db.query(
+    `UPDATE api_keys SET revoked_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+      RETURNING id`,
+    [id, userId],
+  );
+  return result.rows[0];
+};
+
+// Resolves to the owner of a valid, unrevoked key, or to undefined.
+const findUserByKey = async (key, db = pool) => {
+  if (!key.startsWith(KEY_PREFIX)) {
+    return undefined;
+  }
+  const result = await db.query(
+    `UPDATE api_keys SET last_used_at = NOW()
+      FROM users
+      WHERE api_keys.key_hash = $1 AND api_keys.revoked_at IS NULL
+        AND users.id = api_keys.user_id
+      RETURNING users.id, users.email`,
+    [await sha256(key)],
+  );
+  return result.rows[0];
+};
+
+export { create, findUserByKey, list, revoke };
@@ -0,0 +1,255 @@
+import { executeQuery, listen, pool } from "../database/database.js";
+import { logger } from "../utils/logger.js";
+
+// Changes to names and addresses, recorded in change_events and announced
+// with NOTIFY by the triggers of the V6 migration. Each app instance LISTENs
+// on a connection of its own while it has subscribers and passes the events
+// to them, so changes made through any instance reach the clients of all of
+// them. The table is read only to replay events to clients that resume, and
+// to catch up on the events announced while the connection was lost.
+
+const CHANNEL = "changes";
+const BATCH_SIZE = 500;
+const RECONNECT_MS = 1000;
+// Events are announced in the order their transactions commit, which is not
+// always the order of their ids. After a reconnect, this many ids before the
+// latest one are looked at again, and ids already delivered are skipped.
+const CATCH_UP_WINDOW = 1000;
+const RETENTION = "1 day";
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const toEvent = (row) => ({
+  id: Number(row.id),
+  table: row.table_name,
+  action: row.action,
+  rowId: row.row_id,
+  userId: row.user_id,
+  data: row.data,
+});
+
+const COLUMNS = "id, table_name, action, row_id, user_id, data";
+
+// Events after the given id, for clients that resume with Last-Event-ID.
+const listAfter = async (afterId, limit = BATCH_SIZE, db = pool) => {
+  const result = await db.query(
+    `SELECT ${COLUMNS} FROM change_events WHERE id > $1 ORDER BY id LIMIT $2`,
+    [afterId, limit],
+  );
+  return result.rows.map(toEvent);
+};
+
+const findById = async (id) => {
+  const result = await executeQuery(
+    `SELECT ${COLUMNS} FROM change_events WHERE id = $1`,
+    [id],
+  );
+  return result.rows.map(toEvent)[0];
+};
+
+// The last id handed out by the sequence. MAX(id) would be too small when
+// the table has been pruned or emptied, and the events with smaller ids that
+// are not committed yet will be announced when they are.
+const latestId = async () => {
+  const result = await executeQuery(
+    `SELECT last_value - CASE WHEN is_called THEN 0 ELSE 1 END AS last_id
+      FROM change_events_id_seq`,
+  );
+  return Number(result.rows[0]?.last_id ?? 0);
+};
+
+const removeOld = async () => {
+  try {
+    await executeQuery(
+      `DELETE FROM change_events WHERE created_at < NOW() - INTERVAL '${RETENTION}'`,
+    );
+  } catch (error) {
+    logger.error("Removing old change events failed", { error });
+  }
+};
+
+// Listeners, mapped to the functions that end their subscriptions.
+const subscribers = new Map();
+let lastId = 0;
+// The ids delivered within CATCH_UP_WINDOW of lastId.
+let delivered = new Set();
+// Whether the app listens, the connection it listens on and, while it
+// starts, the promise that it has.
+let listening = false;
+let connection;
+let starting;
+let reconnectTimer;
+let pruneTimer;
+// Notifications are handled one at a time, in the order they arrive.
+let queue = Promise.resolve();
+
+const enqueue = (task) => {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+};
+
+const deliver = (event) => {
+  if (delivered.has(event.id)) {
+    return;
+  }
+  delivered.add(event.id);
+  lastId = Math.max(lastId, event.id);
+  if (delivered.size > 2 * CATCH_UP_WINDOW) {
+    delivered = new Set(
+      [...delivered].filter((id) => id > lastId - CATCH_UP_WINDOW),
+    );
+  }
+
+  for (const subscriber of subscribers.keys()) {
+    try {
+      subscriber(event);
+    } catch (error) {
+      logger.error("Delivering a change event failed", { error });
+    }
+  }
+};
+
+// Rows too large for a notification are announced without their data, which
+// is then read from the table.
+const receive = async (payload) => {
+  const row = JSON.parse(payload);
+  const event = "data" in row ? toEvent(row) : await findById(row.id);
+  if (event) {
+    deliver(event);
+  }
+};
+
+const catchUp = async () => {
+  let afterId = Math.max(0, lastId - CATCH_UP_WINDOW);
+  for (;;) {
+    const events = await listAfter(afterId);
+    events.forEach(deliver);
+    if (events.length < BATCH_SIZE) {
+      return;
+    }
+    afterId = events.at(-1).id;
+  }
+};
+
+const stop = () => {
+  listening = false;
+  connection?.close();
+  connection = undefined;
+  clearTimeout(reconnectTimer);
+  clearInterval(pruneTimer);
+  reconnectTimer = undefined;
+  pruneTimer = undefined;
+  lastId = 0;
+  delivered = new Set();
+};
+
+const connect = async () => {
+  const current = await listen(CHANNEL, (payload) => {
+    if (!listening) {
+      return;
+    }
+    enqueue(() => receive(payload)).catch((error) => {
+      logger.error("Receiving a change event failed", { error, payload });
+    });
+  });
+  // Stopped, or started again by someone else, in the meantime.
+  if (!listening || connection) {
+    current.close();
+    return;
+  }
+  connection = current;
+
+  current.closed.catch((error) => {
+    if (connection !== current) {
+      return;
+    }
+    connection = undefined;
+    logger.error("Lost the connection for change events, reconnecting", {
+      error,
+      retryInMs: RECONNECT_MS,
+    });
+    reconnectTimer = setTimeout(reconnect, RECONNECT_MS);
+  });
+};
+
+// The events announced while the connection was lost are read from the
+// table once the app listens again.
+const reconnect = async () => {
+  reconnectTimer = undefined;
+  try {
+    await connect();
+    if (connection) {
+      await enqueue(catchUp);
+    }
+  } catch (error) {
+    if (!listening) {
+      return;
+    }
+    logger.error("Reconnecting for change events failed", {
+      error,
+      retryInMs: RECONNECT_MS,
+    });
+    connection?.close();
+    connection = undefined;
+    reconnectTimer = setTimeout(reconnect, RECONNECT_MS);
+  }
+};
+
+// Listens before reading the latest id, so that every event after it is
+// announced. The events announced in between have smaller ids.
+const start = async () => {
+  try {
+    await connect();
+    lastId = await latestId();
+  } catch (error) {
+    stop();
+    throw error;
+  }
+  if (listening) {
+    pruneTimer = setInterval(removeOld, PRUNE_INTERVAL_MS);
+  }
+};
+
+// Calls listener(event) for every change from now on, until unsubscribe() is
+// called. `lastId` is the id of the latest event before the subscription,
+// up to which a client that resumes has to be caught up. `onClose` is called
+// when close() ends the subscription.
+const subscribe = async (listener, { onClose = () => {} } = {}) => {
+  subscribers.set(listener, onClose);
+  if (!listening) {
+    listening = true;
+    starting = start();
+  }
+  try {
+    await starting;
+  } catch (error) {
+    subscribers.delete(listener);
+    throw error;
+  }
+
+  return {
+    lastId,
+    unsubscribe: () => {
+      subscribers.delete(listener);
+      if (subscribers.size === 0 && listening) {
+        stop();
+      }
+    },
+  };
+};
+
+// Ends every subscription, so that the event streams do not keep the server
+// from shutting down. Their clients reconnect, to another instance if need be.
+const close = () => {
+  for (const [listener, onClose] of [...subscribers]) {
+    subscribers.delete(listener);
+    try {
+      onClose();
+    } catch (error) {
+      logger.error("Closing a change event subscription failed", { error });
+    }
+  }
+  stop();
+};
+
+export { close, listAfter, subscribe };
@@ -0,0 +1,66 @@
+import { pool } from "../database/database.js";
+import {
+  compareVersions,
+  listMigrationFiles,
+} from "../database/migrationFiles.js";
+import { logger } from "../utils/logger.js";
+
+const startedAt = Date.now();
+
+// Runs a check and reports its outcome together with how long it took. A
+// check either returns details about itself, with `ok: false` when it did
+// not pass, or throws. The readiness report is public, so errors are only
+// logged: their messages can tell the database host or user.
+const runCheck = async (name, check, { db, log }) => {
+  const start = performance.now();
+  let result;
+  try {
+    const { ok = true, ...details } = await check(db);
+    result = { status: ok ? "ok" : "error", ...details };
+  } catch (error) {
+    log.error("Readiness check failed", { check: name, error });
+    result = { status: "error" };
+  }
+  return {
+    ...result,
+    latencyMs: Math.round((performance.now() - start) * 100) / 100,
+  };
+};
+
+const checkDatabase = async (db) => {
+  await db.query("SELECT 1");
+  return {};
+};
+
+const checkMigrations = async (db) => {
+  const files = await listMigrationFiles();
+  const expected = files.length > 0 ? files[files.length - 1].version : null;
+
+  const result = await db.query(
+    "SELECT version FROM flyway_schema_history WHERE success AND version IS NOT NULL",
+  );
+  const applied = result.rows
+    .map((row) => row.version)
+    .sort(compareVersions)
+    .pop() ?? null;
+
+  const ok = expected === null ||
+    (applied !== null && compareVersions(applied, expected) === 0);
+  return { ok, expected, applied };
+};
+
+const liveness = () => ({
+  status: "ok",
+  uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000),
+});
+
+const readiness = async (db = pool, log = logger) => {
+  const checks = {
+    database: await runCheck("database", checkDatabase, { db, log }),
+    migrations: await runCheck("migrations", checkMigrations, { db, log }),
+  };
+  const ready = Object.values(checks).every((check) => check.status === "ok");
+  return { status: ready ? "ok" : "error", checks };
+};
+
+export { liveness, readiness };
@@ -0,0 +1,90 @@
+import { pool } from "../database/database.js";
+import { listRows } from "../database/listQuery.js";
+
+const SORTABLE = ["id", "name"];
+
+// The queries are run through `db`, which is context.db in requests. create,
+// update and remove also take a transaction of db.transaction().
+const list = async (options, db = pool) => {
+  return await listRows(
+    "names",
+    { columns: ["id", "name"], searchColumns: ["name"] },
+    options,
+    {},
+    db,
+  );
+};
+
+const findById = async (id, db = pool) => {
+  const result = await db.query(
+    "SELECT id, name FROM names WHERE id = $1",
+    [id],
+  );
+  return result.rows[0];
+};
+
+const create = async (name, db = pool) => {
+  const result = await db.query(
+    "INSERT INTO names (name) VALUES ($1) RETURNING id, name",
+    [name],
+  );
+  return result.rows[0];
+};
+
+const update = async (id, name, db = pool) => {
+  const result = await db.query(
+    "UPDATE names SET name = $2 WHERE id = $1 RETURNING id, name",
+    [id, name],
+  );
+  return result.rows[0];
+};
+
+const remove = async (id, db = pool) => {
+  const result = await db.query(
+    "DELETE FROM names WHERE id = $1 RETURNING id, name",
+    [id],
+  );
+  return result.rows[0];
+};
+
+class RollBack extends Error {}
+
+const runOperation = async (db, { op, id, name }) => {
+  if (op === "create") {
+    return await create(name, db);
+  }
+  if (op === "update") {
+    return await update(id, name, db);
+  }
+  return await remove(id, db);
+};
+
+// Runs operations ({ op: "create", name }, { op: "update", id, name } or
+// { op: "delete", id }) one after another in one transaction, in the order
+// given, so that later operations see the changes of earlier ones. Resolves
+// to { ok, results }, where results[i] is the name that operation i created,
+// updated or deleted. When an operation finds no such name, the operations
+// after it are not run, its result is undefined and is the last one, ok is
+// false and the whole transaction has been rolled back.
+const runBatch = async (operations, db = pool) => {
+  const results = [];
+  try {
+    await db.transaction(async (transaction) => {
+      for (const operation of operations) {
+        const result = await runOperation(transaction, operation);
+        results.push(result);
+        if (result === undefined) {
+          throw new RollBack();
+        }
+      }
+    });
+  } catch (error) {
+    if (!(error instanceof RollBack)) {
+      throw error;
+    }
+    return { ok: false, results };
+  }
+  return { ok: true, results };
+};
+
+export { create, findById, list, remove, runBatch, SORTABLE, update };
@@ -0,0 +1,100 @@
+import { getConfig } from "../config/config.js";
+import { pool } from "../database/database.js";
+
+// Token buckets: a bucket holds at most `capacity` tokens and gains
+// `refillPerSecond` tokens per second. Every request takes one token, and
+// requests are refused while the bucket is empty. take() resolves to whether
+// the request is allowed and the tokens left afterwards.
+
+const MAX_MEMORY_BUCKETS = 10000;
+
+const createMemoryStore = () => {
+  const buckets = new Map();
+
+  const refill = (bucket, { capacity, refillPerSecond }, now) =>
+    Math.min(
+      capacity,
+      bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond,
+    );
+
+  // Full buckets hold no information, so they are dropped when the map grows
+  // large.
+  const prune = (now) => {
+    for (const [key, bucket] of buckets) {
+      if (refill(bucket, bucket.limit, now) >= bucket.limit.capacity) {
+        buckets.delete(key);
+      }
+    }
+  };
+
+  return {
+    take: (key, limit) => {
+      const now = Date.now();
+      if (buckets.size >= MAX_MEMORY_BUCKETS) {
+        prune(now);
+      }
+
+      const bucket = buckets.get(key) ??
+        { tokens: limit.capacity, updatedAt: now };
+      const tokens = refill(bucket, limit, now);
+      const allowed = tokens >= 1;
+      buckets.set(key, {
+        tokens: allowed ? tokens - 1 : tokens,
+        updatedAt: now,
+        limit,
+      });
+      return Promise.resolve({
+        allowed,
+        tokens: allowed ? tokens - 1 : tokens,
+      });
+    },
+  };
+};
+
+// Keeps the buckets in the rate_limits table, so that limits survive restarts
+// and are shared by all app instances. The bucket is refilled and a token
+// taken in a single statement, so concurrent requests cannot overdraw it.
+const createPostgresStore = () => {
+  const available =
+    "LEAST($2, r.tokens + EXTRACT(EPOCH FROM (NOW() - r.updated_at)) * $3)";
+
+  return {
+    take: async (key, { capacity, refillPerSecond }, db = pool) => {
+      const result = await db.query(
+        `INSERT INTO rate_limits AS r (key, tokens, allowed, updated_at)
+          VALUES ($1, $2 - 1, TRUE, NOW())
+          ON CONFLICT (key) DO UPDATE SET
+            tokens = CASE WHEN ${available} >= 1
+              THEN ${available} - 1 ELSE ${available} END,
+            allowed = ${available} >= 1,
+            updated_at = NOW()
+          RETURNING tokens, allowed`,
+        [key, capacity, refillPerSecond],
+      );
+      const { tokens, allowed } = result.rows[0];
+      return { allowed, tokens: Number(tokens) };
+    },
+  };
+};
+
+let store;
+
+const getStore = () => {
+  if (!store) {
+    store = getConfig().rateLimitStore === "postgres"
+      ? createPostgresStore()
+      : createMemoryStore();
+  }
+  return store;
+};
+
+const take = async (key, limit, db = pool) => {
+  return await getStore().take(key, limit, db);
+};
+
+// Replaces the store, e.g. with a fresh memory store in tests.
+const useStore = (replacement) => {
+  store = replacement;
+};
+
+export { createMemoryStore, createPostgresStore, take, useStore };
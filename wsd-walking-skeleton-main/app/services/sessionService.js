@@ -0,0 +1,29 @@
+import { pool } from "../database/database.js";
+
+const find = async (id, db = pool) => {
+  const result = await db.query(
+    "SELECT id, user_id, data FROM sessions WHERE id = $1 AND expires_at > NOW()",
+    [id],
+  );
+  return result.rows[0];
+};
+
+const save = async ({ id, userId, data, expiresAt }, db = pool) => {
+  await db.query(
+    `INSERT INTO sessions (id, user_id, data, expires_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (id) DO UPDATE
+      SET user_id = $2, data = $3, expires_at = $4`,
+    [id, userId, JSON.stringify(data), expiresAt],
+  );
+};
+
+const destroy = async (id, db = pool) => {
+  await db.query("DELETE FROM sessions WHERE id = $1", [id]);
+};
+
+const removeExpired = async (db = pool) => {
+  await db.query("DELETE FROM sessions WHERE expires_at <= NOW()");
+};
+
+export { destroy, find, removeExpired, save };
@@ -0,0 +1,28 @@
+import { pool } from "../database/database.js";
+
+const findById = async (id, db = pool) => {
+  const result = await db.query(
+    "SELECT id, email FROM users WHERE id = $1",
+    [id],
+  );
+  return result.rows[0];
+};
+
+// Includes the password hash, for checking credentials only.
+const findByEmail = async (email, db = pool) => {
+  const result = await db.query(
+    "SELECT id, email, password FROM users WHERE email = $1",
+    [email],
+  );
+  return result.rows[0];
+};
+
+const create = async (email, passwordHash, db = pool) => {
+  const result = await db.query(
+    "INSERT INTO users (email, password) VALUES ($1, $2) RETURNING id, email",
+    [email, passwordHash],
+  );
+  return result.rows[0];
+};
+
+export { create, findByEmail, findById };
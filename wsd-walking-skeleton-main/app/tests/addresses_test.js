@@ -0,0 +1,85 @@
+import { assertEquals, assertStringIncludes } from "./deps.js";
+import {
+  assertHtml,
+  assertJson,
+  assertRedirect,
+  createClient,
+  test,
+} from "./helpers.js";
+
+test("the address book requires a logged in user", async ({ client }) => {
+  assertRedirect(
+    await client.get("/addresses?q=a"),
+    "/auth/login?next=%2Faddresses%3Fq%3Da",
+  );
+
+  const body = await assertJson(
+    await client.get("/addresses", { headers: { Accept: "application/json" } }),
+    401,
+  );
+  assertEquals(body.error, "Authentication required");
+});
+
+test("invalid addresses are shown with their errors", async ({ client }) => {
+  await client.register();
+
+  const html = await assertHtml(
+    await client.postForm("/addresses", { name: "Aino", address: "" }),
+    400,
+  );
+  assertStringIncludes(html, 'value="Aino"');
+  assertStringIncludes(html, "This field is required.");
+
+  const notText = await assertHtml(
+    await client.sendJson("POST", "/addresses", { name: 5, address: "Katu" }),
+    400,
+  );
+  assertStringIncludes(notText, "This field must be text.");
+}, { postgres: true });
+
+test("addresses can be added, listed and deleted", async ({ client }) => {
+  await client.register();
+
+  assertRedirect(
+    await client.postForm("/addresses", {
+      name: "Aino Virtanen",
+      address: "Mannerheimintie 1, Helsinki",
+    }),
+    "/addresses",
+  );
+
+  const html = await assertHtml(await client.get("/addresses"), 200);
+  assertStringIncludes(html, "Mannerheimintie 1, Helsinki");
+
+  const list = await assertJson(
+    await client.get("/addresses", { headers: { Accept: "application/json" } }),
+    200,
+  );
+  assertEquals(list.total, 1);
+  const [{ id }] = list.items;
+
+  assertRedirect(
+    await client.postForm(`/addresses/${id}/delete`),
+    "/addresses",
+  );
+  const empty = await assertHtml(await client.get("/addresses"), 200);
+  assertStringIncludes(empty, "The address book is empty.");
+}, { postgres: true });
+
+test("users only see and delete their own addresses", async ({ client }) => {
+  await client.register("owner@example.com");
+  await client.postForm("/addresses", { name: "Aino", address: "Secret 1" });
+  const [{ id }] = (await assertJson(
+    await client.get("/addresses", { headers: { Accept: "application/json" } }),
+    200,
+  )).items;
+
+  const other = createClient({ ip: "127.0.0.2" });
+  await other.register("other@example.com");
+  const html = await assertHtml(await other.get("/addresses"), 200);
+  assertEquals(html.includes("Secret 1"), false);
+
+  const response = await other.postForm(`/addresses/${id}/delete`);
+  assertEquals(response.status, 404);
+  await response.text();
+}, { postgres: true });
@@ -0,0 +1,140 @@
+import { assert, assertEquals, assertObjectMatch } from "./deps.js";
+import {
+  assertHtml,
+  assertJson,
+  assertRedirect,
+  createClient,
+  test,
+} from "./helpers.js";
+
+// Creates an API key on the settings page and resolves to the key.
+const createApiKey = async (client, name = "script") => {
+  const html = await assertHtml(
+    await client.postForm("/settings/api-keys", { name }),
+    201,
+  );
+  const match = html.match(/wsd_[A-Za-z0-9_-]+/);
+  assert(match, "The page does not show the new key");
+  return match[0];
+};
+
+const bearer = (key) => ({ headers: { Authorization: `Bearer ${key}` } });
+
+test("the OpenAPI document is public", async ({ client }) => {
+  const document = await assertJson(
+    await client.get("/api/v1/openapi.json"),
+    200,
+  );
+  assertEquals(document.openapi, "3.0.3");
+  assert("/names/{id}" in document.paths);
+  assert("/addresses" in document.paths);
+});
+
+test("the API requires an API key", async ({ client }) => {
+  const response = await client.get("/api/v1/names");
+  assertEquals(response.headers.get("WWW-Authenticate"), 'Bearer realm="api"');
+  assertEquals(await assertJson(response, 401), {
+    error: { status: 401, message: "API key required" },
+  });
+
+  const invalid = await assertJson(
+    await client.get("/api/v1/names", bearer("wsd_not-a-key")),
+    401,
+  );
+  assertEquals(invalid.error.message, "Invalid API key");
+});
+
+test("errors of the API share one shape", async ({ client }) => {
+  const body = await assertJson(
+    await client.request("/api/v1/openapi.json", { method: "DELETE" }),
+    405,
+  );
+  assertEquals(body, { error: { status: 405, message: "Method Not Allowed" } });
+});
+
+test("API keys can be created and revoked", async ({ client }) => {
+  await client.register();
+  const key = await createApiKey(client, "import script");
+
+  const html = await assertHtml(await client.get("/settings/api-keys"), 200);
+  assert(html.includes("import script"));
+  assertEquals(html.includes(key), false);
+
+  await assertJson(await client.get("/api/v1/names", bearer(key)), 200);
+
+  const id = html.match(/\/settings\/api-keys\/(\d+)\/revoke/)[1];
+  assertRedirect(
+    await client.postForm(`/settings/api-keys/${id}/revoke`),
+    "/settings/api-keys",
+  );
+  await assertJson(await client.get("/api/v1/names", bearer(key)), 401);
+}, { postgres: true });
+
+test("API keys can't be used to manage API keys", async ({ client }) => {
+  await client.register();
+  const key = await createApiKey(client, "leaked");
+
+  const script = createClient();
+  await assertJson(
+    await script.sendJson(
+      "POST",
+      "/settings/api-keys",
+      { name: "stolen" },
+      bearer(key),
+    ),
+    401,
+  );
+  await assertJson(
+    await script.sendJson("GET", "/settings/api-keys", undefined, bearer(key)),
+    401,
+  );
+
+  const html = await assertHtml(await client.get("/settings/api-keys"), 200);
+  assertEquals(html.includes("stolen"), false);
+}, { postgres: true });
+
+test("scripts can manage names and addresses", async ({ client }) => {
+  await client.register();
+  const key = await createApiKey(client);
+  const send = (method, path, data) =>
+    client.request(path, {
+      method,
+      headers: {
+        Authorization: `Bearer ${key}`,
+        "Content-Type": "application/json",
+      },
+      body: data === undefined ? undefined : JSON.stringify(data),
+    });
+
+  const created = await send("POST", "/api/v1/names", { name: "Aino" });
+  const name = await assertJson(created, 201);
+  assertEquals(created.headers.get("Location"), `/api/v1/names/${name.id}`);
+
+  const invalid = await assertJson(
+    await send("POST", "/api/v1/addresses", { name: "Aino" }),
+    400,
+  );
+  assertObjectMatch(invalid, {
+    error: {
+      status: 400,
+      message: "Validation failed",
+      errors: { address: ["This field is required."] },
+    },
+  });
+
+  const address = await assertJson(
+    await send("POST", "/api/v1/addresses", {
+      name: "Aino",
+      address: "Rantatie 1",
+    }),
+    201,
+  );
+  const list = await assertJson(await send("GET", "/api/v1/addresses"), 200);
+  assertEquals(list.items, [address]);
+
+  assertEquals(
+    (await send("DELETE", `/api/v1/addresses/${address.id}`)).status,
+    204,
+  );
+  await assertJson(await send("GET", `/api/v1/addresses/${address.id}`), 404);
+}, { postgres: true });
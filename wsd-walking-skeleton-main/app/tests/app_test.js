@@ -0,0 +1,114 @@
+import { getConfig, useConfig } from "../config/config.js";
+import { useDriver } from "../database/database.js";
+import { createMemoryDriver } from "../database/memoryDriver.js";
+import { assert, assertEquals, assertMatch } from "./deps.js";
+import { assertJson, test } from "./helpers.js";
+
+test("GET / responds with Hello world!", async ({ client }) => {
+  const response = await client.get("/");
+  assertEquals(response.status, 200);
+  assertEquals(await response.text(), "Hello world!");
+});
+
+test("unknown paths are 404 Not Found", async ({ client }) => {
+  const response = await client.get("/no-such-page");
+  assertEquals(response.status, 404);
+  await response.text();
+});
+
+test("unsupported methods are 405 with an Allow header", async ({ client }) => {
+  const response = await client.request("/health", { method: "OPTIONS" });
+  assertEquals(response.status, 405);
+  assertEquals(response.headers.get("Allow"), "GET, HEAD");
+  await response.text();
+});
+
+test("HEAD is answered by GET routes without a body", async ({ client }) => {
+  const response = await client.request("/", { method: "HEAD" });
+  assertEquals(response.status, 200);
+  assertEquals(await response.text(), "");
+});
+
+test("responses carry the security headers", async ({ client }) => {
+  const response = await client.get("/");
+  await response.text();
+  assertEquals(response.headers.get("X-Content-Type-Options"), "nosniff");
+  assertEquals(response.headers.get("X-Frame-Options"), "DENY");
+  assertMatch(response.headers.get("Content-Security-Policy"), /default-src/);
+  assertMatch(response.headers.get("X-Request-Id") ?? "", /.+/);
+});
+
+test("static files are served with validators", async ({ client }) => {
+  const response = await client.get("/static/styles.css");
+  assertEquals(response.status, 200);
+  assertMatch(response.headers.get("Content-Type"), /text\/css/);
+  await response.text();
+
+  const cached = await client.get("/static/styles.css", {
+    headers: { "If-None-Match": response.headers.get("ETag") },
+  });
+  assertEquals(cached.status, 304);
+});
+
+test("static paths cannot escape the public folder", async ({ client }) => {
+  const response = await client.get("/static/..%2Fapp.js");
+  assertEquals(response.status, 404);
+  await response.text();
+});
+
+test("GET /health reports liveness", async ({ client }) => {
+  const body = await assertJson(await client.get("/health"), 200);
+  assertEquals(body.status, "ok");
+});
+
+test("GET /ready checks the database and migrations", async ({ client }) => {
+  const body = await assertJson(await client.get("/ready"), 200);
+  assertEquals(body.checks.database.status, "ok");
+  assertEquals(body.checks.migrations.status, "ok");
+}, { postgres: true });
+
+test("GET /ready logs errors instead of showing them", async ({ client }) => {
+  const failing = createMemoryDriver().respond("SELECT 1", () => {
+    throw new Error('password authentication failed for user "secret"');
+  });
+  const previous = useDriver(failing);
+  const error = console.error;
+  const lines = [];
+  console.error = (line) => lines.push(line);
+  let body;
+  try {
+    body = await assertJson(await client.get("/ready"), 503);
+  } finally {
+    console.error = error;
+    useDriver(previous);
+  }
+
+  assertEquals(body.checks.database.status, "error");
+  assertEquals(JSON.stringify(body).includes("secret"), false);
+  assert(lines.some((line) => line.includes("password authentication")));
+});
+
+test("SQL queries are logged with the request id", async ({ client }) => {
+  const config = getConfig();
+  const log = console.log;
+  const lines = [];
+  useConfig({ ...config, logLevel: "debug" });
+  console.log = (line) => lines.push(line);
+  try {
+    const response = await client.get("/names/1", {
+      headers: { "X-Request-Id": "sql-log-test" },
+    });
+    await response.text();
+  } finally {
+    console.log = log;
+    useConfig(config);
+  }
+
+  const entries = lines.map((line) => JSON.parse(line));
+  assert(
+    entries.some((entry) =>
+      entry.message === "query" && entry.requestId === "sql-log-test" &&
+      entry.sql.includes("FROM names")
+    ),
+  );
+});
@@ -0,0 +1,158 @@
+import { getConfig } from "../config/config.js";
+import { assertEquals, assertStringIncludes } from "./deps.js";
+import { assertHtml, assertJson, assertRedirect, test } from "./helpers.js";
+
+test("registering logs the user in", async ({ client }) => {
+  const { email } = await client.register("new@example.com");
+  const html = await assertHtml(await client.get("/auth/login"), 200);
+  assertStringIncludes(html, email);
+});
+
+test("registration validates the email and password", async ({ client }) => {
+  const html = await assertHtml(
+    await client.postForm("/auth/register", {
+      email: "not an email",
+      password: "short",
+    }),
+    400,
+  );
+  assertStringIncludes(html, "Enter a valid email address.");
+  assertStringIncludes(html, "at least 8 characters");
+
+  // 40 characters, but 80 bytes.
+  const tooLong = await assertHtml(
+    await client.postForm("/auth/register", {
+      email: "user@example.com",
+      password: "ä".repeat(40),
+    }),
+    400,
+  );
+  assertStringIncludes(tooLong, "at most 72 bytes");
+});
+
+test("an email address can only be registered once", async ({ client }) => {
+  await client.register("taken@example.com");
+  await client.postForm("/auth/logout");
+
+  const html = await assertHtml(
+    await client.postForm("/auth/register", {
+      email: "taken@example.com",
+      password: "password123",
+    }),
+    400,
+  );
+  assertStringIncludes(html, "already registered");
+});
+
+test("logging in follows local next paths only", async ({ client }) => {
+  const { email, password } = await client.register();
+  assertRedirect(await client.postForm("/auth/logout"), "/auth/login");
+
+  assertRedirect(
+    await client.postForm("/auth/login", {
+      email,
+      password,
+      next: "//evil.example.com",
+    }),
+    "/",
+  );
+  await client.postForm("/auth/logout");
+
+  assertRedirect(
+    await client.postForm("/auth/login", {
+      email,
+      password,
+      next: "/addresses",
+    }),
+    "/addresses",
+  );
+});
+
+test("wrong passwords are rejected", async ({ client }) => {
+  const { email } = await client.register();
+  await client.postForm("/auth/logout");
+
+  const html = await assertHtml(
+    await client.postForm("/auth/login", { email, password: "wrong-one" }),
+    401,
+  );
+  assertStringIncludes(html, "Invalid email or password.");
+});
+
+test("logging out ends the session", async ({ client }) => {
+  await client.register();
+  assertRedirect(await client.postForm("/auth/logout"), "/auth/login");
+  assertEquals(client.cookies.has("sid"), false);
+
+  const response = await client.get("/addresses");
+  assertRedirect(response, "/auth/login?next=%2Faddresses");
+});
+
+test("forms without a CSRF token are rejected", async ({ client }) => {
+  const response = await client.request("/auth/login", {
+    method: "POST",
+    body: new URLSearchParams({ email: "a@example.com", password: "x" }),
+  });
+  await assertHtml(response, 403);
+});
+
+test("only pages with forms create a CSRF token", async ({ client }) => {
+  // Too large requests are answered with a page before the CSRF check.
+  const tooLarge = await client.request("/auth/login", {
+    method: "POST",
+    body: "x".repeat(getConfig().maxBodyBytes + 1),
+  });
+  const page = await assertHtml(tooLarge, 413);
+  assertEquals(page.includes("csrf"), false);
+  assertEquals(client.cookies.size, 0);
+
+  const login = await assertHtml(await client.get("/auth/login"), 200);
+  const token = await client.csrfToken();
+  assertStringIncludes(
+    login,
+    `<input type="hidden" name="_csrf" value="${token}">`,
+  );
+  assertEquals(client.cookies.size, 1);
+});
+
+test("JSON requests without a CSRF token get a JSON error", async ({ client }) => {
+  const body = await assertJson(
+    await client.sendJson("POST", "/names", { name: "A" }, {
+      headers: { "X-CSRF-Token": "wrong" },
+    }),
+    403,
+  );
+  assertEquals(body.error, "Invalid CSRF token");
+});
+
+test("other Authorization headers do not skip the CSRF check", async ({ client }) => {
+  await client.register();
+  for (const authorization of ["Basic dXNlcjpwYXNz", "Bearer"]) {
+    const response = await client.request("/names", {
+      method: "POST",
+      headers: {
+        "Accept": "application/json",
+        "Authorization": authorization,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ name: "A" }),
+    });
+    await assertJson(response, 403);
+  }
+});
+
+test("login attempts are rate limited", async ({ client }) => {
+  const attempt = () =>
+    client.postForm("/auth/login", {
+      email: "nobody@example.com",
+      password: "password123",
+    });
+  for (let i = 0; i < 5; i++) {
+    await assertHtml(await attempt(), 401);
+  }
+
+  const limited = await attempt();
+  assertEquals(limited.status, 429);
+  assertEquals(Number(limited.headers.get("Retry-After")) > 0, true);
+  await limited.text();
+});
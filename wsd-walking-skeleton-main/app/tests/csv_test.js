@@ -0,0 +1,144 @@
+import { CsvError, formatRecord, parseCsv } from "../utils/csv.js";
+import { assertEquals, assertThrows } from "./deps.js";
+import { assertHtml, assertRedirect, test } from "./helpers.js";
+
+Deno.test("formatRecord quotes fields only when needed", () => {
+  assertEquals(
+    formatRecord(["plain", "a,b", 'say "hi"', "two\nlines", null, 3]),
+    'plain,"a,b","say ""hi""","two\nlines",,3\r\n',
+  );
+});
+
+Deno.test("parseCsv reads what formatRecord writes", () => {
+  const values = ["a,b", 'say "hi"', "two\r\nlines", ""];
+  assertEquals(parseCsv(formatRecord(values) + formatRecord(["x"])), [
+    values,
+    ["x"],
+  ]);
+});
+
+Deno.test("parseCsv accepts LF line breaks and a byte order mark", () => {
+  assertEquals(parseCsv("﻿name,address\nAino,Rantatie 1"), [
+    ["name", "address"],
+    ["Aino", "Rantatie 1"],
+  ]);
+});
+
+Deno.test("parseCsv rejects malformed quoting", () => {
+  assertThrows(() => parseCsv('a,"b'), CsvError, "unterminated");
+  assertThrows(() => parseCsv('a,"b"c'), CsvError, "after a quoted field");
+  assertThrows(() => parseCsv('a,b"c'), CsvError, "unquoted field");
+});
+
+// Uploads a CSV file with the import form.
+const upload = async (client, csv, fields = {}) => {
+  const body = new FormData();
+  body.set("_csrf", await client.csrfToken());
+  body.set("file", new File([csv], "addresses.csv", { type: "text/csv" }));
+  for (const [key, value] of Object.entries(fields)) {
+    body.set(key, value);
+  }
+  return await client.request("/addresses/import", { method: "POST", body });
+};
+
+test("too large uploads are turned away before they are read", async ({ client }) => {
+  const chunk = new Uint8Array(1024 * 1024).fill(65);
+  let sent = 0;
+  // A stream has no Content-Length, like a chunked upload.
+  const body = new ReadableStream({
+    pull(controller) {
+      if (sent++ < 20) {
+        controller.enqueue(chunk);
+      } else {
+        controller.close();
+      }
+    },
+  });
+
+  const response = await client.request("/addresses/import", {
+    method: "POST",
+    headers: { "Content-Type": "multipart/form-data; boundary=x" },
+    body,
+  });
+  assertEquals(response.status, 413);
+  // The limit is 4 MB, so the rest of the body is never read.
+  assertEquals(sent < 20, true);
+});
+
+test("the address book is exported as CSV", async ({ client }) => {
+  await client.register();
+  await client.postForm("/addresses", {
+    name: "Aino",
+    address: "Katu 1, Oulu",
+  });
+  await client.postForm("/addresses", { name: "Eero", address: "Tie 2" });
+
+  const response = await client.get("/addresses.csv");
+  assertEquals(response.status, 200);
+  assertEquals(
+    response.headers.get("Content-Type"),
+    "text/csv; charset=utf-8; header=present",
+  );
+  assertEquals(
+    await response.text(),
+    'name,address\r\nAino,"Katu 1, Oulu"\r\nEero,Tie 2\r\n',
+  );
+}, { postgres: true });
+
+test(
+  "imports are previewed and invalid files are not imported",
+  async ({ client }) => {
+    await client.register();
+    const csv = "Nimi,Osoite,Puhelin\r\nAino,Katu 1,040\r\nEero,,050\r\n";
+
+    const preview = await assertHtml(await upload(client, csv), 200);
+    assertEquals(preview.includes("1 of them invalid"), true);
+    assertEquals(preview.includes('value="import"'), false);
+
+    const html = await assertHtml(
+      await client.postForm("/addresses/import", {
+        csv,
+        nameColumn: "0",
+        addressColumn: "1",
+        mode: "import",
+      }),
+      400,
+    );
+    assertEquals(html.includes("Nothing was imported."), true);
+
+    const exported = await (await client.get("/addresses.csv")).text();
+    assertEquals(exported, "name,address\r\n");
+  },
+  { postgres: true },
+);
+
+test("valid files are imported in full", async ({ client }) => {
+  await client.register();
+  const csv = 'address,name\n"Katu 1, Oulu",Aino\n\nTie 2,Eero\n';
+
+  const preview = await assertHtml(await upload(client, csv), 200);
+  assertEquals(preview.includes("Import 2 addresses"), true);
+
+  assertRedirect(
+    await client.postForm("/addresses/import", {
+      csv,
+      nameColumn: "1",
+      addressColumn: "0",
+      mode: "import",
+    }),
+    "/addresses",
+  );
+  assertEquals(
+    await (await client.get("/addresses.csv")).text(),
+    'name,address\r\nAino,"Katu 1, Oulu"\r\nEero,Tie 2\r\n',
+  );
+}, { postgres: true });
+
+test("malformed CSV is reported", async ({ client }) => {
+  await client.register();
+  const html = await assertHtml(
+    await upload(client, 'name,address\n"Aino'),
+    400,
+  );
+  assertEquals(html.includes("The file is not valid CSV."), true);
+});
@@ -0,0 +1,8 @@
+export {
+  assert,
+  assertEquals,
+  assertMatch,
+  assertObjectMatch,
+  assertStringIncludes,
+  assertThrows,
+} from "https://deno.land/std@0.120.0/testing/asserts.ts";
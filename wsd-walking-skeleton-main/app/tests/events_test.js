@@ -0,0 +1,154 @@
+import { deadline } from "../deps.js";
+import { assert, assertEquals, assertStringIncludes } from "./deps.js";
+import { createClient, test } from "./helpers.js";
+
+const decoder = new TextDecoder();
+
+// Reads the stream until it contains `text`, or fails after a few seconds.
+const readUntil = async (reader, text) => {
+  let received = "";
+  const read = async () => {
+    while (!received.includes(text)) {
+      const { value, done } = await reader.read();
+      assert(!done, `The stream ended before "${text}"`);
+      received += decoder.decode(value);
+    }
+    return received;
+  };
+  return await deadline(read(), 5000);
+};
+
+test("HEAD /events does not open a stream", async ({ client }) => {
+  const response = await client.request("/events", { method: "HEAD" });
+  assertEquals(response.status, 200);
+  assertEquals(
+    response.headers.get("Content-Type"),
+    "text/event-stream; charset=utf-8",
+  );
+});
+
+test("clients that resume get the events they missed", async ({ client, driver, postgres }) => {
+  if (postgres) {
+    await client.register();
+    await client.sendJson("POST", "/names", { name: "Aino" });
+    await client.sendJson("POST", "/names", { name: "Eero" });
+  } else {
+    driver
+      .respond("change_events_id_seq", () => [{ last_id: 2 }])
+      .respond("id > $1 ORDER BY id", ([afterId]) =>
+        [
+          { id: 1, name: "Aino" },
+          { id: 2, name: "Eero" },
+        ].filter(({ id }) => id > afterId).map((row) => ({
+          id: row.id,
+          table_name: "names",
+          action: "created",
+          row_id: row.id,
+          user_id: null,
+          data: row,
+        })));
+  }
+
+  const response = await client.stream("/events", {
+    headers: { "Last-Event-ID": "1" },
+  });
+  const reader = response.body.getReader();
+  try {
+    const received = await readUntil(reader, '"name":"Eero"');
+    assertStringIncludes(received, "retry: 3000\n\n");
+    assertStringIncludes(received, "event: names.created\n");
+    assertEquals(received.includes("Aino"), false);
+  } finally {
+    await reader.cancel();
+  }
+});
+
+test("changes are streamed as they happen", async ({ client }) => {
+  await client.register();
+
+  const response = await client.stream("/events");
+  const reader = response.body.getReader();
+  try {
+    await readUntil(reader, "retry:");
+    const created = await client.sendJson("POST", "/names", { name: "Helmi" });
+    const { id } = await created.json();
+
+    const received = await readUntil(reader, '"name":"Helmi"');
+    assertStringIncludes(
+      received,
+      `event: names.created\ndata: {"table":"names","action":"created","id":${id},`,
+    );
+  } finally {
+    await reader.cancel();
+  }
+}, { postgres: true });
+
+test("large changes are read from the table", async ({ client, driver, postgres }) => {
+  const event = {
+    table_name: "names",
+    action: "created",
+    row_id: 1,
+    user_id: null,
+    data: { id: 1, name: "Aino" },
+  };
+  let id = 1;
+  if (postgres) {
+    const result = await driver.query(
+      `INSERT INTO change_events (table_name, action, row_id, data)
+        VALUES ($1, $2, $3, $4) RETURNING id`,
+      [event.table_name, event.action, event.row_id, event.data],
+    );
+    id = Number(result.rows[0].id);
+  } else {
+    driver.respond("WHERE id = $1", () => [{ id, ...event }]);
+  }
+
+  const response = await client.stream("/events");
+  const reader = response.body.getReader();
+  try {
+    await readUntil(reader, "retry:");
+    // The triggers leave the data out of notifications that would be too
+    // long.
+    const { data: _, ...announced } = { id, ...event };
+    const payload = JSON.stringify(announced);
+    if (postgres) {
+      await driver.query("SELECT pg_notify('changes', $1)", [payload]);
+    } else {
+      driver.notify("changes", payload);
+    }
+
+    const received = await readUntil(reader, '"name":"Aino"');
+    assertStringIncludes(received, `id: ${id}\nevent: names.created\n`);
+  } finally {
+    await reader.cancel();
+  }
+});
+
+test("addresses are only streamed to their owner", async ({ client }) => {
+  await client.register("owner@example.com");
+  const other = createClient();
+  await other.register("other@example.com");
+
+  const response = await client.stream("/events");
+  const reader = response.body.getReader();
+  const otherResponse = await other.stream("/events");
+  const otherReader = otherResponse.body.getReader();
+  try {
+    await readUntil(reader, "retry:");
+    await readUntil(otherReader, "retry:");
+    await client.postForm("/addresses", { name: "Aino", address: "Katu 1" });
+    const received = await readUntil(reader, "addresses.created");
+    assertStringIncludes(received, '"address":"Katu 1"');
+    assertEquals(received.includes("user_id"), false);
+
+    // Events are delivered in order, so once the name created after the
+    // address has arrived, the address would have been too.
+    await client.sendJson("POST", "/names", { name: "Eero" });
+    const otherReceived = await readUntil(otherReader, '"name":"Eero"');
+    assertEquals(otherReceived.includes("addresses."), false);
+    assertEquals(otherReceived.includes("Katu 1"), false);
+  } finally {
+    await reader.cancel();
+    await otherReader.cancel();
+  }
+}, { postgres: true });
@@ -0,0 +1,324 @@
+import { handleRequest } from "../app.js";
+import { loadConfig, useConfig } from "../config/config.js";
+import { createPostgresDriver, useDriver } from "../database/database.js";
+import { createMemoryDriver } from "../database/memoryDriver.js";
+import { migrate } from "../database/migrations.js";
+import { Client } from "../deps.js";
+import { createMemoryStore, useStore } from "../services/rateLimitService.js";
+import { assert, assertEquals, assertMatch } from "./deps.js";
+
+// The tests run against a throwaway Postgres database, built from the
+// migrations in flyway/sql, when the PG* variables point to a server that
+// accepts connections. Otherwise they run against the in-memory driver, which
+// keeps users and sessions in memory and answers other queries with the
+// responders added by each test. Tests that need real tables are skipped in
+// that case.
+
+const PG_VARIABLES = ["PGUSER", "PGPASSWORD", "PGHOST", "PGPORT", "PGDATABASE"];
+
+const testConfig = () => {
+  const env = {
+    PGUSER: "test",
+    PGPASSWORD: "test",
+    PGHOST: "localhost",
+    PGDATABASE: "test",
+  };
+  for (const name of PG_VARIABLES) {
+    env[name] = Deno.env.get(name) ?? env[name];
+  }
+  return loadConfig({
+    ...env,
+    LOG_LEVEL: Deno.env.get("LOG_LEVEL") ?? "error",
+    SESSION_SECRET: "a secret that is only used in tests",
+    RATE_LIMIT_STORE: "memory",
+  });
+};
+
+const config = testConfig();
+useConfig(config);
+
+const connection = {
+  user: config.database.user,
+  password: config.database.password,
+  hostname: config.database.hostname,
+  port: config.database.port,
+  database: config.database.database,
+};
+
+const checkPostgres = async () => {
+  if (Deno.env.get("PGHOST") === undefined) {
+    return false;
+  }
+  try {
+    const client = new Client(connection);
+    await client.connect();
+    await client.end();
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const postgresAvailable = await checkPostgres();
+
+const adminQuery = async (sql) => {
+  const client = new Client(connection);
+  await client.connect();
+  try {
+    await client.queryArray(sql);
+  } finally {
+    await client.end();
+  }
+};
+
+const createTestDatabase = async () => {
+  const name = `test_${Date.now()}_${
+    Math.floor(Math.random() * 1e9).toString(36)
+  }`;
+  await adminQuery(`CREATE DATABASE ${name}`);
+
+  const driver = createPostgresDriver({ ...connection, database: name }, 2);
+  useDriver(driver);
+  const drop = async () => {
+    await driver.close();
+    await adminQuery(`DROP DATABASE IF EXISTS ${name} WITH (FORCE)`);
+  };
+
+  try {
+    await migrate();
+  } catch (error) {
+    await drop();
+    throw error;
+  }
+  return { driver, drop };
+};
+
+// In-memory versions of the users and sessions tables, so that logging in
+// works without Postgres.
+const addMemoryTables = (driver) => {
+  const users = [];
+  const sessions = new Map();
+
+  return driver
+    .respond("INSERT INTO users", ([email, password]) => {
+      const user = { id: users.length + 1, email, password };
+      users.push(user);
+      return [{ id: user.id, email }];
+    })
+    .respond(
+      "FROM users WHERE email",
+      ([email]) => users.filter((user) => user.email === email),
+    )
+    .respond(
+      "FROM users WHERE id",
+      ([id]) =>
+        users.filter((user) => user.id === id).map(({ id, email }) => ({
+          id,
+          email,
+        })),
+    )
+    .respond("INSERT INTO sessions", ([id, userId, data]) => {
+      sessions.set(id, { id, user_id: userId, data: JSON.parse(data) });
+    })
+    .respond("DELETE FROM sessions WHERE id", ([id]) => {
+      sessions.delete(id);
+    })
+    .respond(
+      "FROM sessions WHERE id",
+      ([id]) => sessions.has(id) ? [structuredClone(sessions.get(id))] : [],
+    );
+};
+
+// Registers a test that gets a fresh database and rate limiter. fn receives
+// `{ client, driver, postgres }`, where `postgres` tells which database is
+// used. With `{ postgres: true }` the test is skipped when Postgres is not
+// available.
+const test = (name, fn, { postgres = false } = {}) => {
+  Deno.test({
+    name,
+    ignore: postgres && !postgresAvailable,
+    fn: async () => {
+      useConfig(config);
+      useStore(createMemoryStore());
+
+      let database;
+      if (postgresAvailable) {
+        database = await createTestDatabase();
+      } else {
+        database = { driver: addMemoryTables(createMemoryDriver()) };
+        useDriver(database.driver);
+      }
+
+      try {
+        await fn({
+          client: createClient(),
+          driver: database.driver,
+          postgres: postgresAvailable,
+        });
+      } finally {
+        useDriver(undefined);
+        await database.drop?.();
+      }
+    },
+  });
+};
+
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+// Splits a combined Set-Cookie header, without splitting the dates of
+// Expires attributes.
+const splitSetCookie = (value) => value.split(/,\s*(?=[^;,=\s]+=)/);
+
+// A browser-like client that calls the request handler of the app directly.
+// It keeps the cookies that the app sets and reads the whole body of every
+// response, so that the responses can be inspected after the stream that
+// produced them has ended.
+const createClient = ({ ip = "127.0.0.1" } = {}) => {
+  const cookies = new Map();
+
+  const storeCookies = (headers) => {
+    for (const [name, value] of headers) {
+      if (name.toLowerCase() !== "set-cookie") {
+        continue;
+      }
+      for (const cookie of splitSetCookie(value)) {
+        const [pair, ...attributes] = cookie.split(";");
+        const separator = pair.indexOf("=");
+        const key = pair.slice(0, separator).trim();
+        const expired = attributes.some((attribute) => {
+          const [attributeName, attributeValue = ""] = attribute.split("=");
+          const lowerName = attributeName.trim().toLowerCase();
+          return (lowerName === "max-age" && Number(attributeValue) <= 0) ||
+            (lowerName === "expires" &&
+              new Date(attributeValue) <= new Date());
+        });
+        if (expired) {
+          cookies.delete(key);
+        } else {
+          cookies.set(key, pair.slice(separator + 1).trim());
+        }
+      }
+    }
+  };
+
+  // Responds with the response of the app as it is, e.g. for reading a
+  // stream that does not end. Its body must be read or cancelled.
+  const stream = async (path, init = {}) => {
+    const headers = new Headers(init.headers);
+    if (cookies.size > 0 && !headers.has("Cookie")) {
+      headers.set(
+        "Cookie",
+        [...cookies].map(([name, value]) => `${name}=${value}`).join("; "),
+      );
+    }
+
+    const response = await handleRequest(
+      new Request(new URL(path, "http://localhost"), { ...init, headers }),
+      {
+        localAddr: { transport: "tcp", hostname: "127.0.0.1", port: 7777 },
+        remoteAddr: { transport: "tcp", hostname: ip, port: 50000 },
+      },
+    );
+    storeCookies(response.headers);
+    return response;
+  };
+
+  const request = async (path, init = {}) => {
+    const response = await stream(path, init);
+    const body = await response.arrayBuffer();
+    return new Response(
+      NULL_BODY_STATUSES.includes(response.status) ? null : body,
+      {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      },
+    );
+  };
+
+  // The CSRF token of the current session, read from the login page.
+  const csrfToken = async () => {
+    const response = await request("/auth/login");
+    const html = await response.text();
+    const match = html.match(/<meta name="csrf-token" content="([^"]+)">/);
+    assert(match, "The login page has no CSRF token");
+    return match[1];
+  };
+
+  return {
+    cookies,
+    csrfToken,
+    request,
+    stream,
+    get: (path, init = {}) => request(path, init),
+    // Submits a form like a browser, including the CSRF token unless
+    // `_csrf` is given.
+    postForm: async (path, fields = {}, init = {}) => {
+      const body = new URLSearchParams({
+        _csrf: await csrfToken(),
+        ...fields,
+      });
+      return await request(path, { ...init, method: "POST", body });
+    },
+    // Sends `data` as JSON with the CSRF token in the X-CSRF-Token header.
+    sendJson: async (method, path, data, init = {}) => {
+      const headers = new Headers(init.headers);
+      headers.set("Accept", "application/json");
+      if (!headers.has("X-CSRF-Token")) {
+        headers.set("X-CSRF-Token", await csrfToken());
+      }
+      if (data !== undefined) {
+        headers.set("Content-Type", "application/json");
+      }
+      return await request(path, {
+        ...init,
+        method,
+        headers,
+        body: data === undefined ? undefined : JSON.stringify(data),
+      });
+    },
+    // Registers a new user, which also logs the client in.
+    register: async (email = "user@example.com", password = "password123") => {
+      const response = await request("/auth/register", {
+        method: "POST",
+        body: new URLSearchParams({
+          _csrf: await csrfToken(),
+          email,
+          password,
+        }),
+      });
+      assertRedirect(response, "/");
+      return { email, password };
+    },
+  };
+};
+
+// Checks the status and the content type of a JSON response and resolves to
+// its body.
+const assertJson = async (response, status) => {
+  const body = await response.text();
+  assertEquals(response.status, status, body);
+  assertMatch(response.headers.get("Content-Type") ?? "", /application\/json/);
+  return JSON.parse(body);
+};
+
+const assertHtml = async (response, status) => {
+  const body = await response.text();
+  assertEquals(response.status, status, body);
+  assertMatch(response.headers.get("Content-Type") ?? "", /text\/html/);
+  return body;
+};
+
+const assertRedirect = (response, location) => {
+  assertEquals(response.status, 303);
+  assertEquals(response.headers.get("Location"), location);
+};
+
+export {
+  assertHtml,
+  assertJson,
+  assertRedirect,
+  createClient,
+  postgresAvailable,
+  test,
+};
@@ -0,0 +1,191 @@
+import { assertEquals, assertObjectMatch } from "./deps.js";
+import { assertJson, test } from "./helpers.js";
+
+test("changing names requires a logged in user", async ({ client }) => {
+  const body = await assertJson(
+    await client.sendJson("POST", "/names", { name: "Aino" }),
+    401,
+  );
+  assertEquals(body.error, "Authentication required");
+});
+
+test("names are validated", async ({ client }) => {
+  await client.register();
+
+  const invalid = await assertJson(
+    await client.sendJson("POST", "/names", { name: "" }),
+    400,
+  );
+  assertEquals(invalid.errors.name, ["This field is required."]);
+
+  const notObject = await assertJson(
+    await client.sendJson("POST", "/names", ["Aino"]),
+    400,
+  );
+  assertEquals(notObject.error, "Request body must be a JSON object");
+});
+
+test("invalid list queries are rejected", async ({ client }) => {
+  const body = await assertJson(await client.get("/names?sort=email"), 400);
+  assertEquals(typeof body.error, "string");
+});
+
+test("GET /names/:id responds with the name", async ({ client, driver, postgres }) => {
+  if (postgres) {
+    await client.register();
+    await client.sendJson("POST", "/names", { name: "Aino" });
+  } else {
+    driver.respond("FROM names WHERE id", ([id]) => [{ id, name: "Aino" }]);
+  }
+
+  const body = await assertJson(await client.get("/names/1"), 200);
+  assertEquals(body, { id: 1, name: "Aino" });
+});
+
+test(
+  "names can be created, listed, updated and deleted",
+  async ({ client }) => {
+    await client.register();
+
+    const created = await client.sendJson("POST", "/names", { name: "Aino" });
+    const name = await assertJson(created, 201);
+    assertEquals(created.headers.get("Location"), `/names/${name.id}`);
+    await client.sendJson("POST", "/names", { name: "Eero" });
+
+    const list = await assertJson(await client.get("/names?q=ain"), 200);
+    assertObjectMatch(list, {
+      total: 1,
+      items: [{ id: name.id, name: "Aino" }],
+    });
+
+    const patched = await assertJson(
+      await client.sendJson("PATCH", `/names/${name.id}`, { name: "Helmi" }),
+      200,
+    );
+    assertEquals(patched, { id: name.id, name: "Helmi" });
+
+    const deleted = await client.sendJson("DELETE", `/names/${name.id}`);
+    assertEquals(deleted.status, 204);
+    await assertJson(await client.get(`/names/${name.id}`), 404);
+  },
+  { postgres: true },
+);
+
+test("listings are paginated", async ({ client }) => {
+  await client.register();
+  for (const name of ["A", "B", "C"]) {
+    await client.sendJson("POST", "/names", { name });
+  }
+
+  const page = await client.get("/names?pageSize=2&sort=id");
+  const body = await assertJson(page, 200);
+  assertEquals(body.items.map((item) => item.name), ["A", "B"]);
+  assertEquals(body.total, 3);
+
+  const next = await assertJson(
+    await client.get(`/names?pageSize=2&sort=id&after=${body.nextCursor}`),
+    200,
+  );
+  assertEquals(next.items.map((item) => item.name), ["C"]);
+}, { postgres: true });
+
+test("batches are validated before anything is run", async ({ client }) => {
+  await client.register();
+
+  const body = await assertJson(
+    await client.sendJson("POST", "/names/batch", {
+      operations: [
+        { op: "create", name: "Aino" },
+        { op: "update", id: 1, name: "" },
+        { op: "delete", id: 1 },
+        { op: "upsert" },
+      ],
+    }),
+    400,
+  );
+  assertEquals(body.results[0].status, 424);
+  assertEquals(body.results[1].errors.name, ["This field is required."]);
+  assertEquals(body.results[2].status, 424);
+  assertEquals(body.results[3].status, 400);
+
+  const tooLarge = await client.sendJson("POST", "/names/batch", {
+    operations: Array.from(
+      { length: 101 },
+      () => ({ op: "create", name: "A" }),
+    ),
+  });
+  await assertJson(tooLarge, 413);
+});
+
+test("batches run in one transaction", async ({ client }) => {
+  await client.register();
+  const existing = await assertJson(
+    await client.sendJson("POST", "/names", { name: "Aino" }),
+    201,
+  );
+
+  const failed = await assertJson(
+    await client.sendJson("POST", "/names/batch", {
+      operations: [
+        { op: "create", name: "Eero" },
+        { op: "update", id: existing.id, name: "Helmi" },
+        { op: "delete", id: 999 },
+      ],
+    }),
+    422,
+  );
+  assertEquals(failed.results.map((result) => result.status), [424, 424, 404]);
+
+  // The operations run in order, so the update finds the name deleted.
+  const reordered = await assertJson(
+    await client.sendJson("POST", "/names/batch", {
+      operations: [
+        { op: "delete", id: existing.id },
+        { op: "update", id: existing.id, name: "Helmi" },
+        { op: "create", name: "Eero" },
+      ],
+    }),
+    422,
+  );
+  assertEquals(reordered.results.map((result) => result.status), [
+    424,
+    404,
+    424,
+  ]);
+  const unchanged = await assertJson(await client.get("/names"), 200);
+  assertEquals(unchanged.items, [existing]);
+
+  const succeeded = await assertJson(
+    await client.sendJson("POST", "/names/batch", {
+      operations: [
+        { op: "create", name: "Eero" },
+        { op: "update", id: existing.id, name: "Helmi" },
+      ],
+    }),
+    200,
+  );
+  assertObjectMatch(succeeded, {
+    results: [
+      { status: 201, item: { name: "Eero" } },
+      { status: 200, item: { id: existing.id, name: "Helmi" } },
+    ],
+  });
+  const list = await assertJson(await client.get("/names?sort=name"), 200);
+  assertEquals(list.items.map((item) => item.name), ["Eero", "Helmi"]);
+
+  const sameId = await assertJson(
+    await client.sendJson("POST", "/names/batch", {
+      operations: [
+        { op: "update", id: existing.id, name: "Ilmari" },
+        { op: "delete", id: existing.id },
+      ],
+    }),
+    200,
+  );
+  assertEquals(sameId.results, [
+    { status: 200, item: { id: existing.id, name: "Ilmari" } },
+    { status: 204 },
+  ]);
+  const remaining = await assertJson(await client.get("/names"), 200);
+  assertEquals(remaining.items.map((item) => item.name), ["Eero"]);
+}, { postgres: true });
@@ -0,0 +1,50 @@
+// Combines middleware functions of the form (context, next) => Response into
+// one. Calling next() runs the following middleware and resolves to its
+// response; the last middleware hands over to `next` given to the composed
+// function, if any.
+const compose = (middlewares) => (context, next) => {
+  let index = -1;
+
+  const dispatch = async (i) => {
+    if (i <= index) {
+      throw new Error("next() called multiple times");
+    }
+    index = i;
+
+    const middleware = i < middlewares.length ? middlewares[i] : next;
+    if (!middleware) {
+      throw new Error("The last middleware must not call next()");
+    }
+    return await middleware(context, () => dispatch(i + 1));
+  };
+
+  return dispatch(0);
+};
+
+// The application runs every request through the middlewares in the order
+// they were added with use(). `handle` is the handler given to std's serve.
+const createApplication = () => {
+  const middlewares = [];
+
+  const use = (middleware) => {
+    middlewares.push(middleware);
+    return application;
+  };
+
+  const handle = async (request, connInfo) => {
+    const context = {
+      request,
+      connInfo,
+      url: new URL(request.url),
+      params: {},
+      state: {},
+    };
+
+    return await compose(middlewares)(context);
+  };
+
+  const application = { use, handle };
+  return application;
+};
+
+export { compose, createApplication };
@@ -0,0 +1,74 @@
+import { getConfig } from "../config/config.js";
+
+const encoder = new TextEncoder();
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const randomToken = (byteLength = 32) =>
+  toBase64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+
+let signingKey;
+
+const getSigningKey = () => {
+  if (!signingKey) {
+    signingKey = crypto.subtle.importKey(
+      "raw",
+      encoder.encode(getConfig().sessionSecret),
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign", "verify"],
+    );
+  }
+  return signingKey;
+};
+
+const hmac = async (value) => {
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    await getSigningKey(),
+    encoder.encode(value),
+  );
+  return toBase64Url(new Uint8Array(signature));
+};
+
+const timingSafeEqual = (a, b) => {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+// A hex-encoded SHA-256 digest, for storing tokens that only need to be
+// recognized, not read back.
+const sha256 = async (value) => {
+  const digest = await crypto.subtle.digest("SHA-256", encoder.encode(value));
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+// Appends an HMAC of the value, so that it can be handed to the client and
+// checked when it comes back.
+const sign = async (value) => `${value}.${await hmac(value)}`;
+
+// Resolves to the original value, or to undefined when the signature does
+// not match.
+const unsign = async (signed) => {
+  const separator = signed.lastIndexOf(".");
+  if (separator < 0) {
+    return undefined;
+  }
+  const value = signed.slice(0, separator);
+  const signature = signed.slice(separator + 1);
+  return timingSafeEqual(signature, await hmac(value)) ? value : undefined;
+};
+
+export { randomToken, sha256, sign, timingSafeEqual, unsign };
@@ -0,0 +1,100 @@
+// Reading and writing CSV as described in RFC 4180: fields are separated by
+// commas and records by CRLF, and fields containing commas, quotes or line
+// breaks are enclosed in double quotes, with quotes doubled.
+
+const NEEDS_QUOTES = /[",\r\n]/;
+
+const formatField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return NEEDS_QUOTES.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+// One record, including the terminating CRLF.
+const formatRecord = (values) => `${values.map(formatField).join(",")}\r\n`;
+
+class CsvError extends Error {
+  constructor(message, line) {
+    super(`Line ${line}: ${message}`);
+    this.name = "CsvError";
+    this.line = line;
+  }
+}
+
+// Parses CSV text into an array of records, each an array of strings. Bare
+// LF line breaks and a leading byte order mark, as written by some
+// spreadsheet programs, are accepted. Throws a CsvError for malformed quoting.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  // Whether anything of the current record has been read.
+  let started = false;
+  let line = 1;
+  let i = text.startsWith("\uFEFF") ? 1 : 0;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+    quoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    records.push(record);
+    record = [];
+    started = false;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '"' && field === "" && !quoted) {
+      const start = line;
+      quoted = true;
+      started = true;
+      i++;
+      for (;;) {
+        if (i >= text.length) {
+          throw new CsvError("unterminated quoted field", start);
+        }
+        if (text[i] === '"' && text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+        } else if (text[i] === '"') {
+          i++;
+          break;
+        } else {
+          if (text[i] === "\n") {
+            line++;
+          }
+          field += text[i++];
+        }
+      }
+      if (i < text.length && !/[,\r\n]/.test(text[i])) {
+        throw new CsvError("unexpected text after a quoted field", line);
+      }
+    } else if (char === ",") {
+      endField();
+      started = true;
+      i++;
+    } else if (char === "\r" || char === "\n") {
+      endRecord();
+      i += char === "\r" && text[i + 1] === "\n" ? 2 : 1;
+      line++;
+    } else if (char === '"') {
+      throw new CsvError("quote inside an unquoted field", line);
+    } else {
+      field += char;
+      started = true;
+      i++;
+    }
+  }
+
+  // The last record need not end with a line break.
+  if (started) {
+    endRecord();
+  }
+  return records;
+};
+
+export { CsvError, formatRecord, parseCsv };
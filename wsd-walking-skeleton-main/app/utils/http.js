@@ -0,0 +1,110 @@
+import { getConfig } from "../config/config.js";
+
+const json = (body, init = {}) => {
+  const headers = new Headers(init.headers);
+  headers.set("Content-Type", "application/json; charset=utf-8");
+  return new Response(JSON.stringify(body), { ...init, headers });
+};
+
+const html = (body, init = {}) => {
+  const headers = new Headers(init.headers);
+  headers.set("Content-Type", "text/html; charset=utf-8");
+  return new Response(body, { ...init, headers });
+};
+
+// 303 See Other makes the browser follow up with a GET, so refreshing the
+// resulting page does not submit the form again.
+const redirect = (location) => {
+  return new Response(null, {
+    status: 303,
+    headers: { "Location": location },
+  });
+};
+
+const jsonError = (status, message, details = {}, init = {}) =>
+  json({ error: message, ...details }, { ...init, status });
+
+// Resolves to the parsed body, or to undefined when the body is not a JSON
+// object.
+const readJsonObject = async (request) => {
+  try {
+    const body = await request.json();
+    if (body && typeof body === "object" && !Array.isArray(body)) {
+      return body;
+    }
+  } catch {
+    // fall through
+  }
+  return undefined;
+};
+
+// Reads a form or JSON body into a plain object, so that the same validation
+// applies to both. Files in forms are left out. Resolves to undefined when
+// the body cannot be parsed.
+const readBody = async (request) => {
+  const contentType = request.headers.get("Content-Type") ?? "";
+  if (contentType.includes("application/json")) {
+    return await readJsonObject(request);
+  }
+
+  try {
+    const formData = await request.formData();
+    const body = {};
+    for (const [key, value] of formData.entries()) {
+      if (typeof value === "string") {
+        body[key] = value;
+      }
+    }
+    return body;
+  } catch {
+    return undefined;
+  }
+};
+
+// True when the client asks for JSON rather than HTML.
+const prefersJson = (request) => {
+  const accept = request.headers.get("Accept") ?? "";
+  return accept.includes("application/json") && !accept.includes("text/html");
+};
+
+// True when the client sends or asks for JSON.
+const expectsJson = (request) =>
+  (request.headers.get("Content-Type") ?? "").includes("application/json") ||
+  (request.headers.get("Accept") ?? "").includes("application/json");
+
+// The address of the client. Behind a proxy (TRUST_PROXY=true) it is taken
+// from the X-Forwarded-For header. Only the last entry, which the proxy
+// appended, is used: the entries before it come from the client.
+const clientIp = ({ request, connInfo }) => {
+  if (getConfig().trustProxy) {
+    const forwarded = request.headers.get("X-Forwarded-For");
+    const last = forwarded?.split(",").at(-1).trim();
+    if (last) {
+      return last;
+    }
+  }
+  return connInfo?.remoteAddr?.hostname ?? "unknown";
+};
+
+// Path ids are SERIAL values, so anything but a positive integer cannot match
+// a row.
+const parseId = (value) => {
+  if (!/^[1-9]\d{0,9}$/.test(value)) {
+    return undefined;
+  }
+  const id = Number(value);
+  return id <= 2147483647 ? id : undefined;
+};
+
+export {
+  clientIp,
+  expectsJson,
+  html,
+  json,
+  jsonError,
+  parseId,
+  prefersJson,
+  readBody,
+  readJsonObject,
+  redirect,
+};
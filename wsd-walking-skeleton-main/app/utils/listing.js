@@ -0,0 +1,159 @@
+import { json, parseId } from "./http.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Reads the q, sort, order, page, pageSize and after query parameters. Invalid
+// values are reported in `errors` and replaced by defaults in `options`, so
+// that HTML pages can ignore them while the JSON API rejects the request.
+// `after` switches to cursor-based pagination, which always orders by id.
+const parseListQuery = (searchParams, { sortable, defaultSort = "id" }) => {
+  const errors = [];
+  const options = {
+    q: (searchParams.get("q") ?? "").trim(),
+    sort: defaultSort,
+    order: "asc",
+    page: 1,
+    pageSize: DEFAULT_PAGE_SIZE,
+    after: undefined,
+  };
+
+  const sort = searchParams.get("sort");
+  if (sort !== null) {
+    if (sortable.includes(sort)) {
+      options.sort = sort;
+    } else {
+      errors.push(`sort must be one of ${sortable.join(", ")}`);
+    }
+  }
+
+  const order = searchParams.get("order");
+  if (order !== null) {
+    if (order === "asc" || order === "desc") {
+      options.order = order;
+    } else {
+      errors.push("order must be asc or desc");
+    }
+  }
+
+  const page = searchParams.get("page");
+  if (page !== null) {
+    const value = parseId(page);
+    if (value) {
+      options.page = value;
+    } else {
+      errors.push("page must be a positive integer");
+    }
+  }
+
+  const pageSize = searchParams.get("pageSize");
+  if (pageSize !== null) {
+    const value = parseId(pageSize);
+    if (value && value <= MAX_PAGE_SIZE) {
+      options.pageSize = value;
+    } else {
+      errors.push(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  const after = searchParams.get("after");
+  if (after !== null) {
+    const value = parseId(after);
+    if (!value) {
+      errors.push("after must be a positive integer");
+    } else if (page !== null) {
+      errors.push("page and after cannot be used together");
+    } else if (sort !== null && sort !== "id") {
+      errors.push("after can only be used when sorting by id");
+    } else {
+      options.after = value;
+      options.sort = "id";
+    }
+  }
+
+  return { options, errors };
+};
+
+const pageCount = (total, pageSize) => Math.max(1, Math.ceil(total / pageSize));
+
+const withParams = (url, changes) => {
+  const target = new URL(url);
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === undefined) {
+      target.searchParams.delete(key);
+    } else {
+      target.searchParams.set(key, value);
+    }
+  }
+  return `${target.pathname}${target.search}`;
+};
+
+const paginationLinks = (url, options, { rows, total, hasMore }) => {
+  if (options.after !== undefined) {
+    const links = { first: withParams(url, { after: undefined }) };
+    if (hasMore) {
+      links.next = withParams(url, { after: rows[rows.length - 1].id });
+    }
+    return links;
+  }
+
+  const last = pageCount(total, options.pageSize);
+  const links = {
+    first: withParams(url, { page: 1 }),
+    last: withParams(url, { page: last }),
+  };
+  if (options.page > 1) {
+    links.prev = withParams(url, { page: Math.min(options.page - 1, last) });
+  }
+  if (options.page < last) {
+    links.next = withParams(url, { page: options.page + 1 });
+  }
+  return links;
+};
+
+const linkHeader = (links) =>
+  Object.entries(links)
+    .map(([rel, href]) => `<${href}>; rel="${rel}"`)
+    .join(", ");
+
+const listJson = (url, options, result) => {
+  const links = paginationLinks(url, options, result);
+  return json({
+    items: result.rows,
+    total: result.total,
+    page: options.after === undefined ? options.page : null,
+    pageSize: options.pageSize,
+    // A cursor is only meaningful when the rows are ordered by id.
+    nextCursor: options.sort === "id" && result.hasMore
+      ? result.rows[result.rows.length - 1].id
+      : null,
+  }, { headers: { "Link": linkHeader(links) } });
+};
+
+// Data for the pagination, search and sorting controls of an HTML listing.
+const listView = (url, options, result) => {
+  const links = paginationLinks(url, options, result);
+  const sortLink = (column) =>
+    withParams(url, {
+      sort: column,
+      order: options.sort === column && options.order === "asc"
+        ? "desc"
+        : "asc",
+      page: undefined,
+      after: undefined,
+    });
+
+  return {
+    q: options.q,
+    sort: options.sort,
+    order: options.order,
+    total: result.total,
+    page: options.page,
+    pageCount: pageCount(result.total, options.pageSize),
+    previous: links.prev ?? null,
+    next: links.next ?? null,
+    sortLink,
+  };
+};
+
+export { listJson, listView, parseListQuery };
@@ -0,0 +1,55 @@
+import { getConfig } from "../config/config.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Falls back to info while the configuration cannot be loaded, so that the
+// problems with it can still be logged.
+const threshold = () => {
+  try {
+    return LEVELS[getConfig().logLevel];
+  } catch {
+    return LEVELS.info;
+  }
+};
+
+const serialize = (value) =>
+  value instanceof Error
+    ? { name: value.name, message: value.message, stack: value.stack }
+    : value;
+
+// Writes one JSON object per line, so that the output of docker-compose can
+// be filtered with tools such as jq.
+const write = (level, message, fields) => {
+  if (LEVELS[level] < threshold()) {
+    return;
+  }
+
+  const entry = { time: new Date().toISOString(), level, message };
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = serialize(value);
+  }
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.error) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+};
+
+// `child` returns a logger that adds the given fields, e.g. the request id,
+// to every entry.
+const createLogger = (bound = {}) => ({
+  debug: (message, fields = {}) =>
+    write("debug", message, { ...bound, ...fields }),
+  info: (message, fields = {}) =>
+    write("info", message, { ...bound, ...fields }),
+  warn: (message, fields = {}) =>
+    write("warn", message, { ...bound, ...fields }),
+  error: (message, fields = {}) =>
+    write("error", message, { ...bound, ...fields }),
+  child: (fields) => createLogger({ ...bound, ...fields }),
+});
+
+const logger = createLogger();
+
+export { logger };
@@ -0,0 +1,50 @@
+import { configure, renderFile } from "../deps.js";
+import { html } from "./http.js";
+
+// `<%= %>` escapes its output, so values from the database can be written
+// into pages as they are. `<%~ %>` writes raw HTML and is only meant for
+// the page body in the layout and for partials.
+configure({
+  views: new URL("../views/", import.meta.url).pathname,
+  autoEscape: true,
+});
+
+// Values every template can use, in addition to the data given to render().
+const templateDefaults = (context) => ({
+  user: context.user ?? null,
+  path: context.url.pathname,
+});
+
+const POST_FORM = /<form\b[^>]*\bmethod=["']?post\b[^>]*>/gi;
+
+// Adds the CSRF token as a hidden field to every form that is posted, so that
+// templates cannot forget it, and as <meta name="csrf-token"> for scripts.
+// The token is only asked for when the page has such a form, as creating it
+// starts a session. It only contains URL-safe characters.
+const addCsrfFields = (context, page) => {
+  if (!page.match(POST_FORM)) {
+    return page;
+  }
+  const token = context.csrfToken?.();
+  if (!token) {
+    return page;
+  }
+  return page
+    .replace(
+      "</head>",
+      `  <meta name="csrf-token" content="${token}">\n</head>`,
+    )
+    .replace(
+      POST_FORM,
+      (tag) => `${tag}<input type="hidden" name="_csrf" value="${token}">`,
+    );
+};
+
+// Renders a template from app/views into an HTML response.
+const render = async (context, template, data = {}, init = {}) => {
+  const values = { ...templateDefaults(context), ...data };
+  const page = await renderFile(template, values);
+  return html(addCsrfFields(context, page), init);
+};
+
+export { render };
@@ -0,0 +1,97 @@
+import { compose } from "./application.js";
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Turns a path pattern such as "/names/:id" into a regular expression and
+// the list of parameter names in the order they appear.
+const compilePattern = (pattern) => {
+  const keys = [];
+  const source = pattern
+    .split("/")
+    .map((segment) => {
+      if (segment.startsWith(":")) {
+        keys.push(segment.slice(1));
+        return "([^/]+)";
+      }
+      return escapeRegExp(segment);
+    })
+    .join("/");
+
+  return { keys, regexp: new RegExp(`^${source}/?$`) };
+};
+
+const methodMatches = (routeMethod, requestMethod) =>
+  routeMethod === requestMethod ||
+  (routeMethod === "GET" && requestMethod === "HEAD");
+
+const createRouter = () => {
+  const routes = [];
+
+  // A route can have several handlers, e.g. router.get(path, requireUser,
+  // handler), which are run like middlewares.
+  const add = (method, pattern, ...handlers) => {
+    routes.push({
+      method,
+      pattern,
+      handler: compose(handlers),
+      ...compilePattern(pattern),
+    });
+    return router;
+  };
+
+  const handle = async (context) => {
+    const { request, url } = context;
+    const allowed = new Set();
+
+    for (const route of routes) {
+      const match = route.regexp.exec(url.pathname);
+      if (!match) {
+        continue;
+      }
+
+      if (!methodMatches(route.method, request.method)) {
+        allowed.add(route.method);
+        if (route.method === "GET") {
+          allowed.add("HEAD");
+        }
+        continue;
+      }
+
+      try {
+        context.params = Object.fromEntries(
+          route.keys.map((key, i) => [key, decodeURIComponent(match[i + 1])]),
+        );
+      } catch {
+        return new Response("Bad Request", { status: 400 });
+      }
+
+      const response = await route.handler(context);
+      if (request.method === "HEAD") {
+        return new Response(null, response);
+      }
+      return response;
+    }
+
+    if (allowed.size > 0) {
+      return new Response("Method Not Allowed", {
+        status: 405,
+        headers: { "Allow": [...allowed].join(", ") },
+      });
+    }
+
+    return new Response("Not Found", { status: 404 });
+  };
+
+  const router = {
+    get: (pattern, ...handlers) => add("GET", pattern, ...handlers),
+    post: (pattern, ...handlers) => add("POST", pattern, ...handlers),
+    put: (pattern, ...handlers) => add("PUT", pattern, ...handlers),
+    patch: (pattern, ...handlers) => add("PATCH", pattern, ...handlers),
+    delete: (pattern, ...handlers) => add("DELETE", pattern, ...handlers),
+    handle,
+  };
+
+  return router;
+};
+
+export { createRouter };
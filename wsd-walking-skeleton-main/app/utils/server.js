@@ -0,0 +1,106 @@
+import { deadline, DeadlineError, deferred, Server } from "../deps.js";
+import { logger } from "./logger.js";
+import { countBytes } from "./streams.js";
+
+// Wraps std's Server so that it can be shut down gracefully: shutdown() stops
+// accepting connections, lets the requests being handled finish for at most
+// `drainTimeoutMs`, and then closes the remaining connections. A request is
+// finished once its response body has been sent.
+const createServer = (handler, { port, drainTimeoutMs = 10000 }) => {
+  const inFlight = new Set();
+  let draining = false;
+  const drained = deferred();
+
+  const trackingHandler = async (request, connInfo) => {
+    // Requests that arrive on open keep-alive connections while shutting
+    // down are turned away, so that clients retry on another instance.
+    if (draining) {
+      return new Response("Service Unavailable", {
+        status: 503,
+        headers: { "Connection": "close", "Retry-After": "1" },
+      });
+    }
+
+    const entry = {
+      method: request.method,
+      path: new URL(request.url).pathname,
+      startedAt: Date.now(),
+    };
+    const release = () => {
+      inFlight.delete(entry);
+      if (draining && inFlight.size === 0) {
+        drained.resolve();
+      }
+    };
+
+    inFlight.add(entry);
+    let response;
+    try {
+      response = await handler(request, connInfo);
+    } catch (error) {
+      release();
+      throw error;
+    }
+
+    if (!response.body) {
+      release();
+      return response;
+    }
+    return new Response(countBytes(response.body, release), {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  };
+
+  const server = new Server({ handler: trackingHandler });
+  let listener;
+
+  // Resolves once the server no longer accepts connections.
+  const listen = async () => {
+    listener = Deno.listen({ port });
+    await server.serve(listener);
+  };
+
+  const shutdown = async () => {
+    if (draining) {
+      return;
+    }
+    draining = true;
+
+    try {
+      listener?.close();
+    } catch {
+      // The listener has already been closed.
+    }
+
+    if (inFlight.size > 0) {
+      logger.info("Waiting for requests to finish", {
+        requests: inFlight.size,
+        timeoutMs: drainTimeoutMs,
+      });
+      try {
+        await deadline(drained, drainTimeoutMs);
+      } catch (error) {
+        if (!(error instanceof DeadlineError)) {
+          throw error;
+        }
+        logger.warn("Aborting requests that did not finish in time", {
+          requests: [...inFlight].map(({ method, path, startedAt }) => ({
+            method,
+            path,
+            runningMs: Date.now() - startedAt,
+          })),
+        });
+      }
+    }
+
+    if (!server.closed) {
+      server.close();
+    }
+  };
+
+  return { listen, shutdown };
+};
+
+export { createServer };
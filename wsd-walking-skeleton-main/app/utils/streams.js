@@ -0,0 +1,33 @@
+// Passes the body through while counting its bytes, and calls `done` with the
+// count once the body has been sent or the client has gone away.
+const countBytes = (body, done) => {
+  const reader = body.getReader();
+  let bytes = 0;
+
+  return new ReadableStream({
+    async pull(controller) {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (error) {
+        controller.error(error);
+        done(bytes, true);
+        return;
+      }
+
+      if (chunk.done) {
+        controller.close();
+        done(bytes, false);
+        return;
+      }
+      bytes += chunk.value.byteLength;
+      controller.enqueue(chunk.value);
+    },
+    async cancel(reason) {
+      done(bytes, true);
+      await reader.cancel(reason);
+    },
+  });
+};
+
+export { countBytes };
@@ -0,0 +1,117 @@
+// Declarative validation of form and JSON input. A schema maps field names to
+// lists of rules; a rule is a function (value, data) that returns an error
+// message, or nothing when the value is valid. Strings are trimmed before
+// they are checked.
+//
+//   const schema = { name: [required(), maxLength(200)] };
+//   const { valid, values, errors } = validate(data, schema);
+//
+// `errors` maps each invalid field to its messages, and `values` holds the
+// trimmed input, so that a form can be shown again with what was submitted.
+
+const isEmpty = (value) =>
+  value === undefined || value === null ||
+  (typeof value === "string" && value.length === 0);
+
+const required = (message = "This field is required.") =>
+  Object.assign((value) => isEmpty(value) ? message : undefined, {
+    checksEmpty: true,
+  });
+
+const isString = (message = "This field must be text.") => (value) =>
+  typeof value === "string" ? undefined : message;
+
+const minLength = (length, message) => (value) =>
+  String(value).length < length
+    ? message ?? `This field must be at least ${length} characters long.`
+    : undefined;
+
+const maxLength = (length, message) => (value) =>
+  String(value).length > length
+    ? message ?? `This field must be at most ${length} characters long.`
+    : undefined;
+
+// For limits in UTF-8 bytes, where a character can take up to four.
+const maxBytes = (length, message) => (value) =>
+  new TextEncoder().encode(String(value)).length > length
+    ? message ?? `This field must be at most ${length} bytes long.`
+    : undefined;
+
+const isEmail = (message = "Enter a valid email address.") => (value) =>
+  /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value)) ? undefined : message;
+
+const toNumber = (value) =>
+  typeof value === "number"
+    ? value
+    : /^-?\d+(\.\d+)?$/.test(String(value))
+    ? Number(value)
+    : NaN;
+
+const isNumber = (message = "This field must be a number.") => (value) =>
+  Number.isFinite(toNumber(value)) ? undefined : message;
+
+const isInteger = (message = "This field must be a whole number.") => (value) =>
+  Number.isInteger(toNumber(value)) ? undefined : message;
+
+const min = (limit, message) => (value) =>
+  toNumber(value) < limit
+    ? message ?? `This field must be at least ${limit}.`
+    : undefined;
+
+const max = (limit, message) => (value) =>
+  toNumber(value) > limit
+    ? message ?? `This field must be at most ${limit}.`
+    : undefined;
+
+// Wraps a check (value, data) => boolean into a rule.
+const rule = (check, message) => (value, data) =>
+  check(value, data) ? undefined : message;
+
+// Rules other than required() are only checked for values that are present.
+// With `partial`, fields missing from the data are skipped altogether, which
+// suits PATCH requests.
+const validate = (data, schema, { partial = false } = {}) => {
+  const values = {};
+  const errors = {};
+
+  for (const [field, rules] of Object.entries(schema)) {
+    if (partial && !(field in data)) {
+      continue;
+    }
+
+    const raw = data[field];
+    const value = typeof raw === "string" ? raw.trim() : raw;
+    values[field] = value ?? "";
+
+    const messages = [];
+    for (const check of rules) {
+      if (isEmpty(value) && !check.checksEmpty) {
+        continue;
+      }
+      const message = check(value, data);
+      if (message) {
+        messages.push(message);
+      }
+    }
+    if (messages.length > 0) {
+      errors[field] = messages;
+    }
+  }
+
+  return { valid: Object.keys(errors).length === 0, values, errors };
+};
+
+export {
+  isEmail,
+  isInteger,
+  isNumber,
+  isString,
+  max,
+  maxBytes,
+  maxLength,
+  min,
+  minLength,
+  required,
+  rule,
+  validate,
+};
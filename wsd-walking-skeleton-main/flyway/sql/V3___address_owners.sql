@@ -0,0 +1,6 @@
+-- Addresses belong to the user that added them. Entries added before this
+-- migration have no owner and are not shown to anyone.
+ALTER TABLE addresses
+  ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+CREATE INDEX ON addresses (user_id);
@@ -0,0 +1,7 @@
+-- Token buckets of the rate limiter, used when RATE_LIMIT_STORE=postgres.
+CREATE TABLE rate_limits (
+  key TEXT PRIMARY KEY,
+  tokens DOUBLE PRECISION NOT NULL,
+  allowed BOOLEAN NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
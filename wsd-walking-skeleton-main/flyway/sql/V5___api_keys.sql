@@ -0,0 +1,15 @@
+-- API keys for scripts. Only a SHA-256 hash of each key is stored; the key
+-- itself is shown once, when it is created. `prefix` is the beginning of the
+-- key, so that users can tell their keys apart.
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX ON api_keys (user_id);
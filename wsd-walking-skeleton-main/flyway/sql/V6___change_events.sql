@@ -0,0 +1,63 @@
+-- Every change to names and addresses is recorded in change_events by a
+-- trigger and announced with NOTIFY on the `changes` channel, from which the
+-- app streams the events to browsers at /events. The table keeps the events
+-- for clients that resume where they left off. `user_id` is the owner of a
+-- changed address, whose changes are only streamed to that user. `data` is
+-- the row after the change (before it, for deletions).
+CREATE TABLE change_events (
+  id BIGSERIAL PRIMARY KEY,
+  table_name TEXT NOT NULL,
+  action TEXT NOT NULL,
+  row_id INTEGER NOT NULL,
+  user_id INTEGER,
+  data JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX ON change_events (created_at);
+
+CREATE FUNCTION record_change() RETURNS trigger AS $$
+DECLARE
+  entry JSONB;
+  event change_events%ROWTYPE;
+  payload JSONB;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    entry := to_jsonb(OLD);
+  ELSE
+    entry := to_jsonb(NEW);
+  END IF;
+
+  INSERT INTO change_events (table_name, action, row_id, user_id, data)
+    VALUES (
+      TG_TABLE_NAME,
+      CASE TG_OP
+        WHEN 'INSERT' THEN 'created'
+        WHEN 'UPDATE' THEN 'updated'
+        ELSE 'deleted'
+      END,
+      (entry ->> 'id')::INTEGER,
+      (entry ->> 'user_id')::INTEGER,
+      entry - 'user_id'
+    )
+    RETURNING * INTO event;
+
+  -- The notification is delivered when the transaction commits. Payloads
+  -- must be shorter than 8000 bytes, so the data of large rows is left out
+  -- and read from the table instead.
+  payload := to_jsonb(event) - 'created_at';
+  IF octet_length(payload::TEXT) >= 8000 THEN
+    payload := payload - 'data';
+  END IF;
+  PERFORM pg_notify('changes', payload::TEXT);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER names_changes
+  AFTER INSERT OR UPDATE OR DELETE ON names
+  FOR EACH ROW EXECUTE FUNCTION record_change();
+
+CREATE TRIGGER addresses_changes
+  AFTER INSERT OR UPDATE OR DELETE ON addresses
+  FOR EACH ROW EXECUTE FUNCTION record_change();